@@ -0,0 +1,208 @@
+/*
+Asynchronous execution of trigger and startup actions
+*/
+
+const { spawn, execFile } = require('child_process');
+
+/**
+ * Maximum captured output size per stream (stdout / stderr) in bytes
+ */
+const maxOutput = 1024 * 1024;
+
+/**
+ * Default action timeout (ms)
+ */
+const defaultTimeout = 600000;
+
+/**
+ * Time to wait after SIGTERM before killing a timed out action with SIGKILL (ms)
+ */
+const killDelay = 5000;
+
+/**
+ * Get the action settings of an action
+ * @param {String|Object} action - Shell command, or action object ({ command, timeout, cwd, env, user, continueOnError, retries })
+ * @returns - Action object
+ */
+function actionSettings(action) {
+    return typeof action === 'string' ? { command: action } : action;
+}
+
+/**
+ * Runs a list of actions
+ * @param {Array} actions - List of actions (see actionSettings)
+ * @param {Object} options - (optional) { order: 'sequential' | 'parallel', env: Object, input: String, label: String }. The environment
+ * variables and stdin input are passed to all actions. The label is used in log messages (e.g. 'trigger').
+ * @returns - Promise with the list of action results (see runAction). Skipped actions (after a failed action in sequential order) are not included.
+ */
+async function runActions(actions, options) {
+    options = options || {};
+
+    if (options.order === 'parallel') {
+        return Promise.all(actions.map(action => runAction(action, options)));
+    }
+
+    let results = [];
+    for (let action of actions) {
+        let result = await runAction(action, options);
+        results.push(result);
+
+        if (result.error && actionSettings(action).continueOnError === false) {
+            console.error(`Skipping the remaining actions after failed ${options.label ? options.label + ' ' : ''}action "${result.action}"`);
+            break;
+        }
+    }
+    return results;
+}
+
+/**
+ * Runs an action, retrying on failure
+ * @param {String|Object} action - Action (see actionSettings)
+ * @param {Object} options - (optional) { env: Object, input: String, label: String } (see runActions)
+ * @returns - Promise with the action result ({ action, exitCode, signal, output, stderr, error, attempts, duration })
+ */
+async function runAction(action, options) {
+    options = options || {};
+    let settings = actionSettings(action);
+    let label = options.label || 'action';
+    let attempts = 1 + (settings.retries || 0);
+
+    let result;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        console.log(`Executing ${label} action: "${settings.command}"${attempt > 1 ? ` (attempt ${attempt} of ${attempts})` : ''}`);
+        result = await execAction(settings, options);
+        result.attempts = attempt;
+
+        if (result.output) {
+            console.log(result.output);
+        }
+        if (!result.error) {
+            break;
+        }
+        console.error(`Unable to process ${label} action "${settings.command}": ${result.error}`);
+    }
+
+    return result;
+}
+
+/**
+ * Executes an action once
+ * @param {Object} settings - Action settings (see actionSettings)
+ * @param {Object} options - { env: Object, input: String }
+ * @returns - Promise with the action result (see runAction)
+ */
+function execAction(settings, options) {
+    return new Promise(async resolve => {
+        let start = Date.now();
+        let result = { action: settings.command, output: '', stderr: '' };
+        let done = () => {
+            result.duration = Date.now() - start;
+            resolve(result);
+        };
+
+        let spawnOptions = {
+            cwd: settings.cwd,
+            env: Object.assign({}, process.env, options.env, settings.env),
+            // Run in a separate process group, so that child processes are also killed on timeout
+            detached: true,
+        };
+
+        if (settings.user) {
+            try {
+                Object.assign(spawnOptions, await userIds(settings.user));
+            }
+            catch (err) {
+                result.error = `Unknown user ${settings.user}: ${err.message || err}`;
+                done();
+                return;
+            }
+        }
+
+        let child;
+        try {
+            child = spawn('/bin/bash', ['-c', settings.command], spawnOptions);
+        }
+        catch (err) {
+            result.error = err.message;
+            done();
+            return;
+        }
+
+        let capture = stream => data => {
+            if (result[stream].length < maxOutput) {
+                result[stream] += data.toString().substring(0, maxOutput - result[stream].length);
+            }
+        };
+        child.stdout.on('data', capture('output'));
+        child.stderr.on('data', capture('stderr'));
+
+        // Kill the process group when the timeout expires (a timeout of 0 disables the timeout)
+        let timeout = settings.timeout !== undefined ? settings.timeout : defaultTimeout;
+        let timer;
+        let killTimer;
+        if (timeout) {
+            timer = setTimeout(() => {
+                result.timedOut = true;
+                killGroup(child, 'SIGTERM');
+                killTimer = setTimeout(() => { killGroup(child, 'SIGKILL') }, killDelay);
+            }, timeout);
+        }
+
+        child.on('error', err => {
+            result.error = err.message;
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            result.exitCode = code;
+            result.signal = signal || undefined;
+            if (result.timedOut) {
+                result.error = `Timed out after ${timeout} ms`;
+            }
+            else if (code !== 0 && !result.error) {
+                result.error = signal ? `Killed by ${signal}` : `Exited with exit code ${code}${result.stderr ? ': ' + result.stderr.trim() : ''}`;
+            }
+            done();
+        });
+
+        // Pass the input on stdin. Actions are not required to read it.
+        child.stdin.on('error', err => { });
+        child.stdin.end(options.input || '');
+    });
+}
+
+/**
+ * Kills the process group of a child process
+ * @param {ChildProcess} child
+ * @param {String} signal
+ */
+function killGroup(child, signal) {
+    try {
+        process.kill(-child.pid, signal);
+    }
+    catch { }
+}
+
+/**
+ * Get the user and group ID of a user
+ * @param {String|Number} user - User name or ID
+ * @returns - Promise with the user and group ID ({ uid, gid })
+ */
+function userIds(user) {
+    let id = flag => new Promise((resolve, reject) => {
+        execFile('id', [flag, String(user)], (err, stdout) => {
+            if (err) {
+                reject(err.message.trim());
+            }
+            else {
+                resolve(parseInt(stdout));
+            }
+        });
+    });
+
+    return id('-u').then(uid => id('-g').then(gid => ({ uid: uid, gid: gid })));
+}
+
+module.exports.actionSettings = actionSettings;
+module.exports.runActions = runActions;
+module.exports.runAction = runAction;
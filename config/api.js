@@ -0,0 +1,133 @@
+/*
+Local HTTP status and control API for the client service
+*/
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Starts the HTTP API server.
+ *
+ * Endpoints:
+ * - GET /status - Status of all configuration entries
+ * - GET /preview?dstPath=... - Preview of the pending update without making changes (all entries if no dstPath is passed)
+ * - POST /cycle?dstPath=... - Run a cycle immediately (all entries if no dstPath is passed)
+ * - POST /pause?dstPath=... - Pause the scheduled cycles (all entries if no dstPath is passed)
+ * - POST /resume?dstPath=... - Resume the scheduled cycles (all entries if no dstPath is passed)
+ * - POST /reload - Reload the configuration
+ *
+ * When a token is configured, requests must pass it in the authorization header (Authorization: Bearer <token>). POST requests sent
+ * by a browser (with an Origin header) are refused, so that web pages cannot control the updater (cross-site request forgery).
+ *
+ * @param {Object} settings - API settings ({ host: String, port: Number, token: String } or { socket: String, token: String })
+ * @param {Object} handlers - Handler functions: status(), preview(dstPath), cycle(dstPath), pause(dstPath), resume(dstPath), reload(). Handlers taking a dstPath return false if the entry is not found.
+ * preview returns a promise.
+ * @returns - HTTP server
+ */
+function startApi(settings, handlers) {
+    let server = http.createServer((req, res) => {
+        let url = new URL(req.url, 'http://localhost');
+        let dstPath = url.searchParams.get('dstPath') || undefined;
+
+        try {
+            if (settings.token && !authorized(req, settings.token)) {
+                send(res, 401, { error: 'Unauthorized' });
+            }
+            else if (req.method === 'POST' && req.headers.origin) {
+                send(res, 403, { error: 'Requests from browsers are not permitted' });
+            }
+            else if (req.method === 'GET' && url.pathname === '/status') {
+                send(res, 200, handlers.status());
+            }
+            else if (req.method === 'GET' && url.pathname === '/preview') {
+                let preview = handlers.preview(dstPath);
+                if (preview === false) {
+                    send(res, 404, { error: `Configuration entry ${dstPath} not found` });
+                }
+                else {
+                    preview.then(data => {
+                        send(res, 200, data);
+                    }).catch(err => {
+                        send(res, 500, { error: err.message || err });
+                    });
+                }
+            }
+            else if (req.method === 'POST' && ['/cycle', '/pause', '/resume'].includes(url.pathname)) {
+                let handler = handlers[url.pathname.substring(1)];
+                if (handler(dstPath) === false) {
+                    send(res, 404, { error: `Configuration entry ${dstPath} not found` });
+                }
+                else {
+                    send(res, 202, { result: 'accepted' });
+                }
+            }
+            else if (req.method === 'POST' && url.pathname === '/reload') {
+                handlers.reload();
+                send(res, 202, { result: 'accepted' });
+            }
+            else {
+                send(res, 404, { error: `${req.method} ${url.pathname} not found` });
+            }
+        }
+        catch (err) {
+            send(res, 500, { error: err.message });
+        }
+    });
+
+    server.on('error', err => {
+        console.error(`API server error: ${err.message}`);
+    });
+
+    if (settings.socket) {
+        // Remove a stale socket file left behind by a previous instance
+        if (fs.existsSync(settings.socket)) {
+            fs.unlinkSync(settings.socket);
+        }
+        server.listen(settings.socket, () => {
+            // Only root can connect to the socket
+            fs.chmodSync(settings.socket, 0o600);
+            console.log(`API listening on ${settings.socket}`);
+        });
+    }
+    else {
+        let host = settings.host || '127.0.0.1';
+        server.listen(settings.port, host, () => {
+            console.log(`API listening on ${host}:${settings.port}`);
+            if (!settings.token) {
+                console.log('API has no token: any local user can control the updater');
+            }
+        });
+    }
+
+    return server;
+}
+
+/**
+ * Check if a request passes the API token in the authorization header
+ * @param {http.IncomingMessage} req
+ * @param {String} token - API token
+ * @returns - true if the token matches
+ */
+function authorized(req, token) {
+    let match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+        return false;
+    }
+    // Compare the digests, as timingSafeEqual requires equal lengths
+    let digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res
+ * @param {Number} code - HTTP status code
+ * @param {Object} data
+ */
+function send(res, code, data) {
+    res.writeHead(code, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 4));
+}
+
+module.exports.startApi = startApi;
@@ -0,0 +1,145 @@
+/*
+Backup store housekeeping (client): verifies the chunks of the backup archive, repairs damaged chunks and reports the free space on the
+backup drive. The result of the last check is saved next to the backup index (<backupIndex>.check.json).
+*/
+
+const fs = require('fs');
+const { casync } = require('./casync.js');
+const { readIndex, chunkPath, verifyChunk, fetchChunk } = require('./cache.js');
+const { writeAtomic } = require('./files.js');
+
+/**
+ * Default interval between backup checks (ms)
+ */
+const defaultCheckInterval = 86400000;
+
+/**
+ * Get the path of the check report of a backup
+ * @param {String} index - Backup index file path
+ * @returns - Report file path
+ */
+function reportPath(index) {
+    return index + '.check.json';
+}
+
+/**
+ * Loads the report of the last check of a backup
+ * @param {String} index - Backup index file path
+ * @returns - Check report (see saveReport), or undefined if the backup was not checked
+ */
+function loadReport(index) {
+    try {
+        return JSON.parse(fs.readFileSync(reportPath(index)));
+    }
+    catch { }
+}
+
+/**
+ * Saves the report of a backup check
+ * @param {String} index - Backup index file path
+ * @param {Object} report - Check report ({ lastVerified, status, checksum, chunks, missing, corrupt, unverified, repaired, pruned, free, errors })
+ */
+function saveReport(index, report) {
+    writeAtomic(reportPath(index), JSON.stringify(report, null, 4));
+}
+
+/**
+ * Checks if a backup check is due
+ * @param {String} index - Backup index file path
+ * @param {Number} interval - (optional) Interval between checks (ms)
+ * @returns - true if the backup was not checked within the interval
+ */
+function isDue(index, interval) {
+    let report = loadReport(index);
+    return !report || !(Date.now() - Date.parse(report.lastVerified) < (interval || defaultCheckInterval));
+}
+
+/**
+ * Verifies that all chunks of a backup archive are in the backup store, and that the chunk contents match the chunk IDs
+ * @param {String} index - Backup index file path
+ * @param {String} store - Backup store directory
+ * @returns - Number of chunks, and the IDs of the missing and corrupt chunks ({ chunks, missing, corrupt, unverified }). unverified is the
+ * number of chunks in a compression format which cannot be verified by this Node.js version.
+ */
+function verifyBackup(index, store) {
+    let chunks = [...new Set(readIndex(fs.readFileSync(index)))];
+    let result = { chunks: chunks.length, missing: [], corrupt: [], unverified: 0 };
+    chunks.forEach(id => {
+        let file = chunkPath(store, id);
+        if (!fs.existsSync(file)) {
+            result.missing.push(id);
+            return;
+        }
+
+        let valid = verifyChunk(id, fs.readFileSync(file));
+        if (valid === false) {
+            result.corrupt.push(id);
+        }
+        else if (valid === undefined) {
+            result.unverified++;
+        }
+    });
+    return result;
+}
+
+/**
+ * Verifies the chunks of a backup archive which cannot be verified individually (see verifyBackup): the checksum of the archive read from
+ * the backup store is compared with the checksum file of the backup index
+ * @param {String} index - Backup index file path
+ * @param {Object} options - casync options of the backup (including the backup store)
+ * @returns - Promise with true if the checksum matches, or undefined if the backup has no checksum file
+ */
+async function verifyDigest(index, options) {
+    if (!fs.existsSync(index + '.cks')) {
+        return;
+    }
+    let expected = fs.readFileSync(index + '.cks').toString().trim();
+    let checksum = await casync.checksum(index, options);
+    return checksum === expected;
+}
+
+/**
+ * Repairs damaged chunks of a backup store: the chunks are copied from the source stores, and replace corrupt chunks when verified.
+ * Corrupt chunks which cannot be copied from a source are kept.
+ * @param {String} store - Backup store directory
+ * @param {Array} ids - IDs of the missing and corrupt chunks
+ * @param {Array} sources - Source chunk stores ({ location, http, throttle }, see cache.js), tried in order
+ * @returns - Promise with the IDs of the repaired chunks and the chunks which could not be repaired ({ repaired, failed })
+ */
+async function repairBackup(store, ids, sources) {
+    let result = { repaired: [], failed: [] };
+    for (let id of ids) {
+        let repaired = false;
+        for (let source of sources) {
+            // Try the next source if the chunk is not available or corrupt
+            repaired = await fetchChunk([source], store, id).then(() => true).catch(err => false);
+            if (repaired) { break }
+        }
+        (repaired ? result.repaired : result.failed).push(id);
+    }
+    return result;
+}
+
+/**
+ * Get the free space on the file system of a backup store
+ * @param {String} dir - Backup store directory (or the parent directory if not yet created)
+ * @returns - Free and total bytes ({ free, total }), or undefined if not available (requires Node.js 18.15)
+ */
+function freeSpace(dir) {
+    if (!fs.statfsSync) {
+        return;
+    }
+    try {
+        let stats = fs.statfsSync(dir);
+        return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    }
+    catch { }
+}
+
+module.exports.loadReport = loadReport;
+module.exports.saveReport = saveReport;
+module.exports.isDue = isDue;
+module.exports.verifyBackup = verifyBackup;
+module.exports.verifyDigest = verifyDigest;
+module.exports.repairBackup = repairBackup;
+module.exports.freeSpace = freeSpace;
@@ -0,0 +1,206 @@
+/*
+Bandwidth limiting and metered connection detection (client)
+*/
+
+const { execFile } = require('child_process');
+
+/**
+ * Burst allowance of a throttle after an idle period (ms)
+ */
+const maxBurst = 1000;
+
+/**
+ * Time window used to calculate the current transfer rate (ms)
+ */
+const rateWindow = 5000;
+
+/**
+ * Time a metered connection check result is reused (ms), so that entries cycling at the same time share one check
+ */
+const meteredCacheTime = 10000;
+
+/**
+ * Timeout of the metered connection check command (ms)
+ */
+const meteredTimeout = 10000;
+
+/**
+ * NetworkManager metered states (NMMetered) treated as metered: yes, guess-yes
+ */
+const nmMetered = [1, 3];
+
+/**
+ * Limits the transfer rate of one or more downloads, and measures the transferred bytes and transfer rate
+ */
+class Throttle {
+    /**
+     * @param {Number} rate - Maximum rate in bytes per second (no limit if not set)
+     * @param {Throttle} parent - (optional) Throttle shared with other downloads (e.g. the global throttle). Transfers are limited by both throttles.
+     */
+    constructor(rate, parent) {
+        this.rate = rate;
+        this.parent = parent;
+        this.bytes = 0;
+        this.next = 0;
+        this.samples = [];
+    }
+
+    /**
+     * Registers transferred bytes
+     * @param {Number} bytes
+     * @returns - Delay in milliseconds before the transfer may continue
+     */
+    consume(bytes) {
+        let now = Date.now();
+        this.bytes += bytes;
+        this.first = this.first || now;
+        this.last = now;
+        this.samples.push({ time: now, bytes: bytes });
+        while (this.samples[0].time < now - rateWindow) {
+            this.samples.shift();
+        }
+
+        let delay = 0;
+        if (this.rate) {
+            this.next = Math.max(this.next, now - maxBurst) + bytes / this.rate * 1000;
+            delay = Math.max(this.next - now, 0);
+        }
+        return this.parent ? Math.max(delay, this.parent.consume(bytes)) : delay;
+    }
+
+    /**
+     * Get the transfer rate over the last seconds
+     * @returns - Rate in bytes per second
+     */
+    currentRate() {
+        let now = Date.now();
+        let bytes = this.samples.filter(s => s.time >= now - rateWindow).reduce((sum, s) => sum + s.bytes, 0);
+        return Math.round(bytes / rateWindow * 1000);
+    }
+
+    /**
+     * Get the transfer statistics
+     * @returns - Transferred bytes, average rate while transferring, and current rate (bytes per second) ({ bytes, rate, currentRate })
+     */
+    stats() {
+        // Transfers shorter than a second are averaged over a second
+        let duration = this.first ? Math.max(this.last - this.first, 1000) : 0;
+        return {
+            bytes: this.bytes,
+            rate: duration ? Math.round(this.bytes / duration * 1000) : 0,
+            currentRate: this.currentRate(),
+        };
+    }
+}
+
+/**
+ * Global bandwidth settings (see configure)
+ */
+var settings = {};
+
+/**
+ * Global throttle shared by all downloads of the client
+ */
+var globalThrottle = new Throttle();
+
+/**
+ * Last metered connection check result ({ time, metered })
+ */
+var meteredCheck;
+
+/**
+ * Set the global bandwidth settings
+ * @param {Object} bandwidth - (optional) Global bandwidth settings ({ rate })
+ * @param {Object} metered - (optional) Metered connection detection settings ({ command, networkManager })
+ */
+function configure(bandwidth, metered) {
+    settings = { rate: bandwidth && bandwidth.rate, metered: metered };
+    globalThrottle.rate = settings.rate;
+    meteredCheck = undefined;
+}
+
+/**
+ * Create a throttle for the downloads of a configuration entry, limited by the entry and global rates
+ * @param {Object} bandwidth - (optional) Entry bandwidth settings ({ rate })
+ * @returns - Throttle
+ */
+function entryThrottle(bandwidth) {
+    return new Throttle(bandwidth && bandwidth.rate, globalThrottle);
+}
+
+/**
+ * Get the rate limit for downloads by external processes (casync, wget for FTP sources), which cannot share the global throttle. The lowest
+ * of the entry and global rates is applied to each process.
+ * @param {Object} bandwidth - (optional) Entry bandwidth settings ({ rate })
+ * @returns - Rate in bytes per second, or undefined if not limited
+ */
+function processRate(bandwidth) {
+    let rates = [bandwidth && bandwidth.rate, settings.rate].filter(rate => rate);
+    return rates.length ? Math.min(...rates) : undefined;
+}
+
+/**
+ * Checks if the network connection is metered, using the configured check command and / or the NetworkManager metered state.
+ * Check failures are logged, and the connection is then treated as not metered.
+ * @returns - Promise with true if the connection is metered
+ */
+async function isMetered() {
+    let m = settings.metered;
+    if (!m || (!m.command && !m.networkManager)) {
+        return false;
+    }
+
+    if (meteredCheck && Date.now() - meteredCheck.time < meteredCacheTime) {
+        return meteredCheck.metered;
+    }
+
+    let metered = false;
+    if (m.command) {
+        // Exit code 0: metered
+        metered = await run('/bin/bash', ['-c', m.command]).then(() => true).catch(err => {
+            // Other exit codes: not metered
+            if (typeof err.code !== 'number') {
+                console.error(`Unable to run metered connection check "${m.command}": ${err.killed ? 'timed out' : err.message}`);
+            }
+            return false;
+        });
+    }
+    if (!metered && m.networkManager) {
+        metered = await run('busctl', ['get-property', 'org.freedesktop.NetworkManager', '/org/freedesktop/NetworkManager',
+            'org.freedesktop.NetworkManager', 'Metered']).then(stdout => {
+                // Output format: "u <state>"
+                return nmMetered.includes(parseInt(stdout.trim().split(/\s+/)[1]));
+            }).catch(err => {
+                console.error(`Unable to get the NetworkManager metered state: ${err.message.trim()}`);
+                return false;
+            });
+    }
+
+    meteredCheck = { time: Date.now(), metered: metered };
+    return metered;
+}
+
+/**
+ * Run a command
+ * @param {String} file
+ * @param {Array} args
+ * @returns - Promise with the command output (stdout). Rejects with the error on failure or a non-zero exit code.
+ */
+function run(file, args) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, { timeout: meteredTimeout }, (err, stdout) => {
+            if (err) {
+                reject(err);
+            }
+            else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+module.exports.Throttle = Throttle;
+module.exports.configure = configure;
+module.exports.entryThrottle = entryThrottle;
+module.exports.processRate = processRate;
+module.exports.isMetered = isMetered;
@@ -0,0 +1,309 @@
+/*
+Offline update bundles: portable directories with the archives of one or more server configuration entries, e.g. for transfer on a
+USB drive. Bundles are exported by the server, and detected by the client when the removable media is mounted.
+
+Bundle directory layout:
+- casync-bundle.json - Bundle manifest ({ format, created, entries: [{ name, index, store, checksum, version, channel, notes }] })
+- <name>.caidx - Index, checksum, mtree and signature files per entry (see publish.js)
+- store/ - casync chunk store with the chunks used by the bundled archives
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { readIndex, chunkPath } = require('./cache.js');
+const { loadJSON } = require('./json.js');
+const { copyIndex } = require('./publish.js');
+const { writeAtomic } = require('./files.js');
+const { versionedIndex } = require('./manifest.js');
+
+/**
+ * Bundle manifest file name
+ */
+const manifestFile = 'casync-bundle.json';
+
+/**
+ * Bundle format version
+ */
+const bundleFormat = 1;
+
+/**
+ * Default directories in which removable media are mounted (e.g. by udisks), and scan interval (ms)
+ */
+const defaultMediaPaths = ['/media', '/run/media'];
+const defaultScanInterval = 5000;
+
+/**
+ * Depth of the directories in the media directories which are checked for bundles (e.g. /run/media/<user>/<label>)
+ */
+const scanDepth = 2;
+
+/**
+ * Maximum number of archive checksums recorded per destination (see markApplied)
+ */
+const maxApplied = 100;
+
+/**
+ * Detected bundles by bundle directory
+ */
+var bundles = {};
+
+/**
+ * Media scan timer. Set while scanning is started.
+ */
+var scanTimer;
+var scanning = false;
+
+/**
+ * Get the bundle name of a server configuration entry
+ * @param {Object} config - Server configuration entry
+ * @returns - The configured bundle name, or the index file name without extension
+ */
+function bundleName(config) {
+    return config.name || path.parse(config.index).name;
+}
+
+/**
+ * Exports the published archives of server configuration entries to a bundle directory. The archive of the configured version is
+ * exported if published as versioned index, otherwise the archive of the index. Existing bundle entries with other names are kept,
+ * and chunks already in the bundle store are not copied again. The bundle manifest is written last, so that an interrupted export
+ * does not change the bundle contents listed in the manifest.
+ * @param {String} dir - Bundle directory (created if not existing)
+ * @param {Array} configs - Server configuration entries
+ * @returns - Promise with the exported bundle entries and the number of copied chunks ({ entries, chunks })
+ */
+async function exportBundle(dir, configs) {
+    let store = path.join(dir, 'store');
+    fs.mkdirSync(store, { recursive: true });
+
+    let manifest = { format: bundleFormat, entries: [] };
+    if (fs.existsSync(path.join(dir, manifestFile))) {
+        manifest = await loadJSON(path.join(dir, manifestFile));
+    }
+
+    let names = configs.map(bundleName);
+    let duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+        throw Error(`Duplicate bundle entry name ${duplicate}`);
+    }
+
+    let exported = [];
+    let copied = 0;
+    configs.forEach((config, i) => {
+        let index = config.index;
+        if (config.version && fs.existsSync(versionedIndex(config.index, config.version))) {
+            index = versionedIndex(config.index, config.version);
+        }
+        if (!fs.existsSync(index + '.cks')) {
+            throw Error(`Archive ${index} is not published`);
+        }
+
+        // Copy the chunks before the index files, so that the bundled index files always refer to available chunks
+        readIndex(fs.readFileSync(index)).forEach(id => {
+            let target = chunkPath(store, id);
+            if (fs.existsSync(target)) { return }
+
+            let source = chunkPath(config.store, id);
+            if (!fs.existsSync(source)) {
+                throw Error(`Chunk ${id} of ${index} not found in ${config.store}`);
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(source, target + '.part');
+            fs.renameSync(target + '.part', target);
+            copied++;
+        });
+
+        let file = names[i] + path.extname(index);
+        copyIndex(index, path.join(dir, file));
+        exported.push({
+            name: names[i],
+            index: file,
+            store: 'store',
+            checksum: fs.readFileSync(index + '.cks').toString().trim(),
+            version: config.version,
+            channel: config.version ? config.channel || 'latest' : undefined,
+            notes: config.notes,
+        });
+    });
+
+    manifest.created = new Date().toISOString();
+    manifest.entries = manifest.entries.filter(e => !names.includes(e.name)).concat(exported);
+    writeAtomic(path.join(dir, manifestFile), JSON.stringify(manifest, null, 4));
+    return { entries: exported, chunks: copied };
+}
+
+/**
+ * Reads a bundle manifest, and resolves the index and store paths of the bundle entries
+ * @param {String} dir - Bundle directory
+ * @returns - Promise with the bundle ({ dir, created, entries: [{ name, index, store, checksum, version, channel, notes }] })
+ */
+async function readBundle(dir) {
+    let manifest = await loadJSON(path.join(dir, manifestFile));
+    if (manifest.format !== bundleFormat || !Array.isArray(manifest.entries)) {
+        throw Error(`Unsupported bundle format in ${dir}`);
+    }
+    return {
+        dir: dir,
+        created: manifest.created,
+        entries: manifest.entries.map(e => Object.assign({}, e, { index: path.join(dir, e.index), store: path.join(dir, e.store) })),
+    };
+}
+
+/**
+ * Checks that a bundle entry is complete: the checksum file matches the bundle manifest, and all chunks of the index are in the
+ * bundle store. The signature is verified by the client.
+ * @param {Object} entry - Bundle entry (see readBundle)
+ * @returns - Error message, or undefined if the bundle entry is complete
+ */
+function checkBundle(entry) {
+    try {
+        if (fs.readFileSync(entry.index + '.cks').toString().trim() !== entry.checksum) {
+            return `Checksum of ${entry.index} does not match the bundle manifest`;
+        }
+        let missing = readIndex(fs.readFileSync(entry.index)).filter(id => !fs.existsSync(chunkPath(entry.store, id)));
+        if (missing.length) {
+            return `${missing.length} chunks of ${entry.index} are missing in ${entry.store}`;
+        }
+    }
+    catch (err) {
+        return `Unable to read ${entry.index}: ${err.message}`;
+    }
+}
+
+/**
+ * Starts scanning the media directories for bundles. The directories are scanned at the given interval, so that bundles are detected
+ * when removable media is mounted.
+ * @param {Object} settings - Bundle settings ({ paths, interval })
+ * @param {Function} onBundle - Called with each new bundle (see readBundle)
+ */
+function start(settings, onBundle) {
+    settings = Object.assign({ paths: defaultMediaPaths, interval: defaultScanInterval }, settings);
+    scanning = true;
+    let scan = () => {
+        scanMedia(settings.paths, onBundle).then(() => {
+            if (scanning) {
+                scanTimer = setTimeout(scan, settings.interval);
+            }
+        });
+    };
+    scan();
+}
+
+/**
+ * Stops scanning the media directories
+ */
+function stop() {
+    scanning = false;
+    clearTimeout(scanTimer);
+    bundles = {};
+}
+
+/**
+ * Scans the media directories for bundles. New bundles are passed to onBundle, and removed bundles (e.g. unmounted media) are forgotten.
+ * @param {Array} paths - Media directories
+ * @param {Function} onBundle - Called with each new bundle
+ */
+async function scanMedia(paths, onBundle) {
+    let found = [];
+    let walk = (dir, depth) => {
+        if (fs.existsSync(path.join(dir, manifestFile))) {
+            found.push(dir);
+        }
+        if (depth < scanDepth) {
+            try {
+                fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).forEach(d => {
+                    walk(path.join(dir, d.name), depth + 1);
+                });
+            }
+            catch { }
+        }
+    };
+    paths.forEach(dir => { walk(dir, 0) });
+
+    Object.keys(bundles).filter(dir => !found.includes(dir)).forEach(dir => {
+        console.log(`Update bundle removed: ${dir}`);
+        delete bundles[dir];
+    });
+
+    for (let dir of found.filter(dir => !bundles[dir])) {
+        await readBundle(dir).then(bundle => {
+            bundles[dir] = bundle;
+            console.log(`Update bundle detected: ${dir} (${bundle.entries.map(e => e.name).join(', ')})`);
+            onBundle(bundle);
+        }).catch(err => {
+            // Retried at the next scan, as the bundle may still be being written
+            console.error(`Unable to read update bundle ${dir}: ${err.message || err}`);
+        });
+    }
+}
+
+/**
+ * Finds the newest bundled archive for a client entry in the detected bundles
+ * @param {String} name - Bundle entry name
+ * @param {String} version - (optional) Pinned release version. Bundled archives of other versions are ignored.
+ * @returns - Bundle entry (see readBundle) with the bundle directory ({ dir }), or undefined if not found
+ */
+function findBundle(name, version) {
+    let matches = Object.keys(bundles).map(dir => bundles[dir]).map(bundle => {
+        let entry = bundle.entries.find(e => e.name === name && (!version || e.version === version));
+        return entry && Object.assign({ dir: bundle.dir, created: bundle.created }, entry);
+    }).filter(entry => entry);
+    return matches.sort((a, b) => String(b.created).localeCompare(String(a.created)))[0];
+}
+
+/**
+ * Get the path of the file listing the archives applied to a destination
+ * @param {String} dstPath
+ * @returns - File path
+ */
+function appliedPath(dstPath) {
+    return path.resolve(dstPath) + '.applied.json';
+}
+
+/**
+ * Checks if an archive was applied to a destination before. Bundled archives are only applied if the destination never contained them,
+ * so that a bundle left on the media (or an older bundle) does not revert later updates.
+ * @param {String} dstPath
+ * @param {String} checksum - Archive checksum
+ * @returns - true if the archive was applied before
+ */
+function isApplied(dstPath, checksum) {
+    try {
+        return JSON.parse(fs.readFileSync(appliedPath(dstPath))).includes(checksum);
+    }
+    catch {
+        return false;
+    }
+}
+
+/**
+ * Records the checksum of the archive in a destination. The most recent checksums are kept (see maxApplied).
+ * @param {String} dstPath
+ * @param {String} checksum - Destination checksum
+ */
+function markApplied(dstPath, checksum) {
+    if (isApplied(dstPath, checksum)) {
+        return;
+    }
+
+    let applied = [];
+    try {
+        applied = JSON.parse(fs.readFileSync(appliedPath(dstPath)));
+    }
+    catch { }
+    try {
+        writeAtomic(appliedPath(dstPath), JSON.stringify(applied.concat([checksum]).slice(-maxApplied)));
+    }
+    catch (err) {
+        console.error(`Unable to record the archive applied to ${dstPath}: ${err.message}`);
+    }
+}
+
+module.exports.bundleName = bundleName;
+module.exports.exportBundle = exportBundle;
+module.exports.readBundle = readBundle;
+module.exports.checkBundle = checkBundle;
+module.exports.start = start;
+module.exports.stop = stop;
+module.exports.findBundle = findBundle;
+module.exports.isApplied = isApplied;
+module.exports.markApplied = markApplied;
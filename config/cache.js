@@ -0,0 +1,298 @@
+/*
+Local chunk cache: downloads the chunks of a casync index to a local cache store before extracting.
+
+Cache directory layout:
+- store/ - casync chunk store (<first 4 hex characters of the chunk ID>/<chunk ID>.cacnk)
+- index/ - local copies of the prefetched index files (<checksum>.caidx)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { casync } = require('./casync.js');
+const { Throttle } = require('./bandwidth.js');
+const { fetch, download } = require('./http.js');
+const { removeFile } = require('./files.js');
+
+/**
+ * casync index format constants (see casync caformat.h)
+ */
+const indexHeaderSize = 48;
+const tableHeaderSize = 16;
+const tableItemSize = 40;
+const indexType = BigInt('0x96824d9c7b129ff9');
+const tableTailMarker = BigInt('0x4b4f050e5549ecd1');
+
+/**
+ * Default number of parallel chunk downloads
+ */
+const defaultConcurrency = 4;
+
+/**
+ * HTTP settings for downloads from LAN peers: unavailable peers are skipped without retrying
+ */
+const peerHttp = { timeout: 5000, retries: 0 };
+
+/**
+ * Reads the chunk IDs from a casync index (caidx / caibx)
+ * @param {Buffer} data - Index file contents
+ * @returns - List of chunk IDs (hex)
+ */
+function readIndex(data) {
+    return readChunks(data).map(chunk => chunk.id);
+}
+
+/**
+ * Reads the chunk IDs and uncompressed chunk sizes from a casync index (caidx / caibx)
+ * @param {Buffer} data - Index file contents
+ * @returns - List of chunks ({ id, size })
+ */
+function readChunks(data) {
+    if (data.length < indexHeaderSize + tableHeaderSize + tableItemSize || data.readBigUInt64LE(8) !== indexType) {
+        throw Error('Invalid casync index file');
+    }
+    if (data.readBigUInt64LE(data.length - 8) !== tableTailMarker || (data.length - indexHeaderSize - tableHeaderSize) % tableItemSize !== 0) {
+        throw Error('Invalid or truncated casync index file');
+    }
+
+    // Each table item contains the end offset of the chunk in the archive and the chunk ID
+    let chunks = [];
+    let start = BigInt(0);
+    for (let offset = indexHeaderSize + tableHeaderSize; offset < data.length - tableItemSize; offset += tableItemSize) {
+        let end = data.readBigUInt64LE(offset);
+        chunks.push({ id: data.toString('hex', offset + 8, offset + tableItemSize), size: Number(end - start) });
+        start = end;
+    }
+    return chunks;
+}
+
+/**
+ * Get the path of a chunk in a chunk store
+ * @param {String} store - Chunk store path or URL
+ * @param {String} id - Chunk ID (hex)
+ * @returns - Chunk path or URL
+ */
+function chunkPath(store, id) {
+    return `${store.replace(/\/+$/, '')}/${id.substring(0, 4)}/${id}.cacnk`;
+}
+
+/**
+ * Downloads the index and all missing chunks of an archive to the local cache, and verifies the cached archive against the expected
+ * checksum. Chunks already in the cache are not downloaded again, so an interrupted prefetch resumes where it stopped. The index file and
+ * chunks are downloaded from LAN peers (see peers.js) if available, and verified like downloads from the source.
+ * @param {String} index - Source index file path or URL
+ * @param {Array} stores - Source chunk store paths or URLs. A chunk missing in the first store is downloaded from the next store.
+ * @param {String} expected - Expected archive checksum
+ * @param {Object} cache - Cache configuration ({ dir, rate, concurrency, peers }). peers is a list of peer URLs, tried before the source stores.
+ * @param {Object} options - casync options used to download the index and chunks (http and throttle wrapper options, see casync.js), and to verify
+ * the archive (the store and extra-store options are replaced by the cache store). The cache rate is applied in addition to the throttle.
+ * @returns - Promise with the local index path, casync options to extract from the cache, and download statistics
+ * ({ index, options, chunks, downloaded, bytes })
+ */
+async function prefetch(index, stores, expected, cache, options) {
+    let storeDir = path.join(cache.dir, 'store');
+    let indexDir = path.join(cache.dir, 'index');
+    fs.mkdirSync(storeDir, { recursive: true });
+    fs.mkdirSync(indexDir, { recursive: true });
+
+    // Copy the index file to the cache. An index file from a peer is verified with the archive checksum.
+    let peers = cache.peers || [];
+    let localIndex = path.join(indexDir, expected + path.extname(index));
+    if (!fs.existsSync(localIndex)) {
+        let data;
+        for (let peer of peers) {
+            data = await fetch(`${peer}/index/${path.basename(localIndex)}`, peerHttp).catch(err => { });
+            try {
+                if (data && readIndex(data)) { break }
+            }
+            catch { }
+            data = undefined;
+        }
+        data = data || await casync.readFile(index, true, options);
+        if (!data) {
+            throw Error(`Index file ${index} not found`);
+        }
+        readIndex(data);
+        fs.writeFileSync(localIndex + '.part', data);
+        fs.renameSync(localIndex + '.part', localIndex);
+    }
+
+    // Download the missing chunks
+    let chunks = [...new Set(readIndex(fs.readFileSync(localIndex)))];
+    let missing = chunks.filter(id => !fs.existsSync(chunkPath(storeDir, id)));
+    let http = casync.optionValue(options, 'http');
+    let throttle = new Throttle(cache.rate, casync.optionValue(options, 'throttle'));
+    let sources = peers.map(peer => ({ location: `${peer}/store`, http: peerHttp, peer: true }))
+        .concat(stores.map(store => ({ location: store, http: http, throttle: throttle })));
+    let stats = { chunks: chunks.length, downloaded: 0, bytes: 0 };
+
+    let queue = [...missing];
+    let worker = async () => {
+        while (queue.length) {
+            let id = queue.shift();
+            try {
+                let bytes = await fetchChunk(sources, storeDir, id);
+                stats.bytes += bytes;
+                stats.downloaded++;
+            }
+            catch (err) {
+                // Stop the other workers
+                queue.length = 0;
+                throw err;
+            }
+        }
+    };
+    let workers = [];
+    for (let i = 0; i < Math.min(cache.concurrency || defaultConcurrency, missing.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    // Verify the cached archive
+    let cacheOptions = (options || []).filter(option => !Object.keys(option).some(key => key === 'store' || key === 'extra-store'))
+        .concat([{ store: storeDir }]);
+    let checksum = (await casync.digest(localIndex, cacheOptions)).trim();
+    if (checksum !== expected) {
+        // Remove the index file and the chunks which are not verified to be valid (including chunks cached by earlier downloads), as the
+        // corrupt files are not known
+        chunks.filter(id => {
+            try {
+                return !verifyChunk(id, fs.readFileSync(chunkPath(storeDir, id)));
+            }
+            catch {
+                return true;
+            }
+        }).forEach(id => removeFile(chunkPath(storeDir, id)));
+        removeFile(localIndex);
+        throw Error(`Checksum of the cached archive ${checksum} does not match the expected checksum ${expected}`);
+    }
+
+    return Object.assign({ index: localIndex, options: cacheOptions }, stats);
+}
+
+/**
+ * Downloads (or copies) a chunk to the cache store, and verifies the chunk ID if the compression format is supported
+ * @param {Array} sources - Chunk stores ({ location, http, throttle, peer }), tried in order until the chunk is found. Peers which fail are
+ * removed from the list.
+ * @param {String} storeDir - Cache store directory
+ * @param {String} id - Chunk ID
+ * @returns - Promise with the number of bytes downloaded
+ */
+async function fetchChunk(sources, storeDir, id) {
+    let file = chunkPath(storeDir, id);
+    let part = file + '.part';
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    for (let store of [...sources]) {
+        let source = chunkPath(store.location, id);
+        let found = false;
+        try {
+            if (/^https?:\/\//i.test(source)) {
+                found = await download(source, part, store.http, store.throttle);
+            }
+            else if (fs.existsSync(source)) {
+                fs.copyFileSync(source, part);
+                found = true;
+            }
+
+            if (found && verifyChunk(id, fs.readFileSync(part)) === false) {
+                throw Error(`Chunk ${id} downloaded from ${source} is corrupt`);
+            }
+        }
+        catch (err) {
+            removeFile(part);
+            if (!store.peer) {
+                throw err;
+            }
+            // Parallel downloads may have removed the peer already
+            if (sources.includes(store)) {
+                console.log(`Skipping peer ${store.location}: ${err.message}`);
+                sources.splice(sources.indexOf(store), 1);
+            }
+            found = false;
+        }
+
+        if (found) {
+            let size = fs.statSync(part).size;
+            fs.renameSync(part, file);
+            return size;
+        }
+    }
+    throw Error(`Chunk ${id} not found in ${sources.map(store => store.location).join(', ')}`);
+}
+
+/**
+ * Verifies a chunk against its ID (SHA-256 of the uncompressed data)
+ * @param {String} id - Chunk ID
+ * @param {Buffer} data - Compressed chunk data
+ * @returns - true if valid, false if corrupt (or not compressed in a casync compression format), undefined if the compression format is
+ * not supported by this Node.js version (xz, and zstd before Node.js 22.15)
+ */
+function verifyChunk(id, data) {
+    if (data.length < 4) {
+        return false;
+    }
+
+    let decompress;
+    if (data.readUInt32LE(0) === 0xfd2fb528) {
+        decompress = zlib.zstdDecompressSync;
+    }
+    else if (data[0] === 0x1f && data[1] === 0x8b) {
+        decompress = zlib.gunzipSync;
+    }
+    else if (data.toString('hex', 0, 4) !== 'fd377a58') {
+        return false;
+    }
+
+    if (!decompress) {
+        return;
+    }
+
+    try {
+        return crypto.createHash('sha256').update(decompress(data)).digest('hex') === id;
+    }
+    catch {
+        return false;
+    }
+}
+
+/**
+ * Removes the chunks and index files which are not used by the passed index files from the cache
+ * @param {Object} cache - Cache configuration ({ dir })
+ * @param {Array} keep - List of local index file paths (see prefetch) to keep
+ * @returns - Number of removed chunks
+ */
+function pruneCache(cache, keep) {
+    let storeDir = path.join(cache.dir, 'store');
+    let indexDir = path.join(cache.dir, 'index');
+    if (!fs.existsSync(storeDir) || !fs.existsSync(indexDir)) {
+        return 0;
+    }
+
+    let used = new Set();
+    keep.filter(index => fs.existsSync(index)).forEach(index => {
+        readIndex(fs.readFileSync(index)).forEach(id => used.add(id));
+    });
+
+    fs.readdirSync(indexDir).map(name => path.join(indexDir, name)).filter(index => !keep.includes(index)).forEach(removeFile);
+
+    let removed = 0;
+    fs.readdirSync(storeDir).filter(dir => fs.statSync(path.join(storeDir, dir)).isDirectory()).forEach(dir => {
+        fs.readdirSync(path.join(storeDir, dir)).forEach(name => {
+            if (!used.has(name.replace(/\.cacnk(\.part)?$/, '')) || name.endsWith('.part')) {
+                removeFile(path.join(storeDir, dir, name));
+                removed++;
+            }
+        });
+    });
+    return removed;
+}
+
+module.exports.readIndex = readIndex;
+module.exports.readChunks = readChunks;
+module.exports.chunkPath = chunkPath;
+module.exports.verifyChunk = verifyChunk;
+module.exports.fetchChunk = fetchChunk;
+module.exports.prefetch = prefetch;
+module.exports.pruneCache = pruneCache;
@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+/*
+Command line tool for one-shot casync-updater operations
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { loadJSON } = require('./json.js');
+const { configFiles, isValidEntry, createEntry, loadChecksum, resolveSource, backupDigest, runCycle, saveBackup, checkBackup, backupStatus, previewUpdate } = require('./client.js');
+const { rollbackEntry } = require('./rollback.js');
+const { lock, lockedBy } = require('./lock.js');
+const { schemas, validate: validateSchema, validateUnique, hasErrors, formatIssue } = require('./schema.js');
+const { configure: configureBandwidth } = require('./bandwidth.js');
+
+/**
+ * Default client configuration directory
+ */
+const defaultConfigPath = '/etc/casync-updater';
+
+/**
+ * Exit codes
+ */
+const exitCodes = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    updateAvailable: 100,
+};
+
+/**
+ * Maximum number of changed paths per event type in the human readable preview
+ */
+const previewPaths = 20;
+
+const usage = `Usage: casync-updater [options] <command> [arguments]
+
+Commands:
+  status [dstPath]               Show the destination checksum, release and device details
+  check [dstPath]                Check if an update is available without making changes (exit code 100 if available)
+  preview [dstPath]              Show the file changes, missing chunks and triggers of an available update (exit code 100 if available)
+  apply [dstPath]                Run one update cycle (exit code 1 if the update failed or the destination is locked)
+  backup [dstPath]               Save a backup of the destination to the backup location
+  verify-backup [dstPath]        Verify and repair the backup store, and remove unused chunks
+  validate                       Validate the configuration files
+  rollback <dstPath> [version]   Pin the entry to a release version and extract it (lists the releases if no version is passed)
+
+Options:
+  -c, --config <path>            Configuration file or directory (default: ${defaultConfigPath})
+  --force                        apply: Apply updates outside the maintenance window
+  --json                         Print the output as JSON
+  -h, --help                     Show this help`;
+
+/**
+ * Commands
+ */
+const commands = {
+    status: status,
+    check: check,
+    preview: preview,
+    apply: apply,
+    backup: backup,
+    'verify-backup': verifyBackup,
+    validate: validate,
+    rollback: rollback,
+};
+
+if (require.main === module) {
+    let options = parseArgs(process.argv.slice(2));
+
+    if (options.help || !commands[options.command]) {
+        console.log(usage);
+        process.exit(options.help ? exitCodes.ok : exitCodes.usage);
+    }
+
+    // Keep stdout clean for the JSON output by writing log messages to stderr
+    if (options.json) {
+        console.log = console.error;
+    }
+
+    commands[options.command](options).then(code => {
+        process.exit(code);
+    }).catch(err => {
+        console.error(err.message || err);
+        process.exit(exitCodes.error);
+    });
+}
+
+/**
+ * Parse the command line arguments
+ * @param {Array} argv - Command line arguments (excluding node and script path)
+ * @returns - Parsed options ({ command, args, configPath, json, force, help })
+ */
+function parseArgs(argv) {
+    let options = { args: [], configPath: defaultConfigPath, json: false, force: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg === '-c' || arg === '--config') {
+            options.configPath = argv[++i];
+        }
+        else if (arg === '--json') {
+            options.json = true;
+        }
+        else if (arg === '--force') {
+            options.force = true;
+        }
+        else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        }
+        else if (!options.command) {
+            options.command = arg;
+        }
+        else {
+            options.args.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the updater entries from the configuration files, and apply the bandwidth settings of the service. Entries sharing the
+ * destination or chunk cache directory of a previous entry are skipped, like in the client service.
+ * @param {String} configPath - Configuration file or directory
+ * @param {String} dstPath - (optional) Only return the entry for this destination path
+ * @returns - Promise with the list of updater entries
+ */
+async function loadEntries(configPath, dstPath) {
+    let list = [];
+    let used = {};
+    for (let file of configFiles(configPath)) {
+        let config = await loadJSON(file).catch(err => { });
+        if (Array.isArray(config)) {
+            config.filter(isValidEntry).forEach(c => {
+                let issues = validateUnique(c, used, `${file} (${c.dstPath})`);
+                if (hasErrors(issues)) {
+                    issues.forEach(issue => console.error(formatIssue(issue, file)));
+                    console.error(`Skipping configuration entry ${c.dstPath} in ${file}`);
+                    return;
+                }
+                if (!dstPath || path.resolve(c.dstPath) === path.resolve(dstPath)) {
+                    list.push(createEntry(c));
+                }
+            });
+        }
+        // Apply the bandwidth settings of the service
+        else if (config && !hasErrors(validateSchema(config, schemas.settings))) {
+            configureBandwidth(config.bandwidth, config.metered);
+        }
+    }
+
+    if (list.length === 0) {
+        throw Error(dstPath ? `No configuration entry found for ${dstPath} in ${configPath}` : `No configuration entries found in ${configPath}`);
+    }
+
+    return list;
+}
+
+/**
+ * Print the output of a command
+ * @param {Object} options - Parsed command line options
+ * @param {Array} data - List of output objects
+ */
+function print(options, data) {
+    if (options.json) {
+        process.stdout.write(JSON.stringify(data, null, 4) + '\n');
+    }
+    else {
+        data.forEach(item => {
+            Object.keys(item).forEach(key => {
+                if (item[key] !== undefined) {
+                    let value = typeof item[key] === 'object' ? JSON.stringify(item[key]) : item[key];
+                    process.stdout.write(`${key}: ${value}\n`);
+                }
+            });
+            process.stdout.write('\n');
+        });
+    }
+}
+
+/**
+ * Show the destination checksum, release and device details
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function status(options) {
+    let data = [];
+    for (let entry of await loadEntries(options.configPath, options.args[0])) {
+        let item = {
+            dstPath: entry.dstPath,
+            checksum: await loadChecksum(entry),
+            srcIndex: entry.srcIndex,
+            version: entry.version,
+            channel: entry.channel,
+            backupIndex: entry.backupIndex,
+            backup: backupStatus(entry),
+            deviceId: entry.device.id,
+            groups: entry.device.groups,
+        };
+        if (entry.staging) {
+            item.activeTree = fs.existsSync(entry.dstPath) ? fs.realpathSync(entry.dstPath) : undefined;
+        }
+        data.push(item);
+    }
+
+    print(options, data);
+    return exitCodes.ok;
+}
+
+/**
+ * Check if an update is available
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function check(options) {
+    let data = [];
+    for (let entry of await loadEntries(options.configPath, options.args[0])) {
+        let checksum = await loadChecksum(entry);
+        let { srcIndex, sourceChecksum } = await resolveSource(entry);
+        let backupChecksum = await backupDigest(entry);
+
+        // Same rules as in a cycle: the backup is only used if the source is not available
+        let update = false;
+        if (sourceChecksum && sourceChecksum !== checksum) {
+            update = 'source';
+        }
+        else if (!sourceChecksum && backupChecksum && checksum && backupChecksum !== checksum) {
+            update = 'backup';
+        }
+
+        data.push({
+            dstPath: entry.dstPath,
+            checksum: checksum,
+            srcIndex: srcIndex,
+            sourceChecksum: sourceChecksum,
+            backupChecksum: backupChecksum,
+            update: update,
+        });
+    }
+
+    print(options, data);
+    return data.some(item => item.update) ? exitCodes.updateAvailable : exitCodes.ok;
+}
+
+/**
+ * Preview the available updates without making changes
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function preview(options) {
+    let data = [];
+    for (let entry of await loadEntries(options.configPath, options.args[0])) {
+        await loadChecksum(entry);
+        data.push(await previewUpdate(entry));
+    }
+
+    if (options.json) {
+        print(options, data);
+    }
+    else {
+        data.forEach(item => {
+            process.stdout.write(formatPreview(item) + '\n');
+        });
+    }
+    return data.some(item => item.update) ? exitCodes.updateAvailable : exitCodes.ok;
+}
+
+/**
+ * Format an update preview as human readable text
+ * @param {Object} item - Update preview (see client.js previewUpdate)
+ * @returns - Text
+ */
+function formatPreview(item) {
+    let lines = [];
+    if (!item.index) {
+        lines.push(`${item.dstPath}: no source available`);
+    }
+    else if (!item.update) {
+        lines.push(`${item.dstPath}: up to date with ${item.from} ${item.index}`);
+    }
+    else {
+        lines.push(`${item.dstPath}: update available from ${item.from} ${item.index}`);
+        lines.push(`  Checksum: ${item.checksum || '-'} -> ${item.archiveChecksum}`);
+    }
+
+    if (item.changes) {
+        let { added, modified, removed } = item.changes;
+        lines.push(`  Changes: ${added.length} added, ${modified.length} modified, ${removed.length} removed (${formatBytes(item.changes.size)} in added and modified files)`);
+        [['+', added], ['~', modified], ['-', removed]].forEach(([sign, list]) => {
+            list.slice(0, previewPaths).forEach(e => {
+                lines.push(`    ${sign} ${e.path}`);
+            });
+            if (list.length > previewPaths) {
+                lines.push(`    ${sign} ... ${list.length - previewPaths} more (see --json)`);
+            }
+        });
+    }
+
+    if (item.download) {
+        let d = item.download;
+        lines.push(`  Download: ${d.missing} of ${d.chunks} chunks not available locally (${formatBytes(d.missingSize)} of ${formatBytes(d.size)} uncompressed)`);
+    }
+
+    if (item.triggers) {
+        lines.push(`  Triggers: ${item.triggers.length ? '' : 'none'}`);
+        item.triggers.forEach(trigger => {
+            lines.push(`    ${trigger.paths.join(', ')}: ${trigger.actions.join('; ')}`);
+        });
+    }
+
+    item.errors.forEach(err => {
+        lines.push(`  Error: ${err}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a number of bytes with a binary unit
+ * @param {Number} bytes
+ * @returns - Formatted size, e.g. "1.5 MiB"
+ */
+function formatBytes(bytes) {
+    let units = ['bytes', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return i ? `${bytes.toFixed(1)} ${units[i]}` : `${bytes} ${units[i]}`;
+}
+
+/**
+ * Run one update cycle
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function apply(options) {
+    let data = [];
+    for (let entry of await loadEntries(options.configPath, options.args[0])) {
+        await loadChecksum(entry);
+        let result = await runCycle(entry, { force: options.force });
+        data.push(Object.assign({ dstPath: entry.dstPath }, result));
+    }
+
+    print(options, data);
+    return data.some(item => item.status === 'failed' || item.status === 'skipped') ? exitCodes.error : exitCodes.ok;
+}
+
+/**
+ * Save a backup of the destination to the backup location
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function backup(options) {
+    let data = [];
+    for (let entry of (await loadEntries(options.configPath, options.args[0])).filter(entry => entry.backupIndex)) {
+        await loadChecksum(entry);
+        let { srcIndex, sourceChecksum, srcOptions } = await resolveSource(entry);
+        let result = { errors: [] };
+        let backupChecksum;
+
+        // Do not make a backup while the destination is being updated
+        let release = lock(entry.dstPath);
+        if (release) {
+            backupChecksum = await saveBackup(Object.assign({}, entry, { srcOptions: srcOptions || entry.srcOptions }), srcIndex, sourceChecksum, result).catch(err => {
+                result.errors.push(err.message || err);
+            });
+            release();
+        }
+        else {
+            result.errors.push(`Destination ${entry.dstPath} is locked by process ${lockedBy(entry.dstPath)}`);
+        }
+
+        data.push({
+            dstPath: entry.dstPath,
+            backupIndex: entry.backupIndex,
+            backupChecksum: backupChecksum,
+            errors: result.errors,
+        });
+    }
+
+    print(options, data);
+    return data.some(item => !item.backupChecksum) ? exitCodes.error : exitCodes.ok;
+}
+
+/**
+ * Verify and repair the backup store, and remove unused chunks
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function verifyBackup(options) {
+    let data = [];
+    for (let entry of (await loadEntries(options.configPath, options.args[0])).filter(entry => entry.backupIndex)) {
+        let report;
+
+        // Do not verify the backup while it is being saved
+        let release = lock(entry.dstPath);
+        if (release) {
+            await loadChecksum(entry);
+            let { sourceChecksum } = await resolveSource(entry);
+            report = await checkBackup(entry, sourceChecksum !== undefined, await backupDigest(entry));
+            release();
+        }
+        else {
+            report = { status: 'failed', errors: [`Destination ${entry.dstPath} is locked by process ${lockedBy(entry.dstPath)}`] };
+        }
+
+        data.push(Object.assign({ dstPath: entry.dstPath, backupIndex: entry.backupIndex }, report));
+    }
+
+    print(options, data);
+    return data.some(item => item.status === 'damaged' || item.status === 'failed') ? exitCodes.error : exitCodes.ok;
+}
+
+/**
+ * Validate the configuration files
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function validate(options) {
+    let data = [];
+    let used = {};
+    for (let file of configFiles(options.configPath)) {
+        let errors = [];
+        let warnings = [];
+        let add = (issues, index) => {
+            issues.forEach(issue => {
+                (issue.level === 'error' ? errors : warnings).push(formatIssue(issue, file, index));
+            });
+        };
+
+        await loadJSON(file).then(config => {
+            if (Array.isArray(config)) {
+                config.forEach((c, i) => {
+                    add(validateSchema(c, schemas.client), i);
+
+                    // Check for shared destinations and cache directories
+                    add(validateUnique(c, used, `${file}: entry ${i}`), i);
+                });
+            }
+            else {
+                add(validateSchema(config, schemas.settings));
+            }
+        }).catch(err => {
+            errors.push(`Error in ${file}: ${err.message || err}`);
+        });
+
+        data.push({ file: file, valid: errors.length === 0, errors: errors, warnings: warnings });
+    }
+
+    if (options.json) {
+        print(options, data);
+    }
+    else {
+        data.forEach(item => {
+            item.errors.concat(item.warnings).forEach(message => {
+                process.stdout.write(message + '\n');
+            });
+            process.stdout.write(`${item.file}: ${item.valid ? 'valid' : 'invalid'}\n`);
+        });
+    }
+    return data.every(item => item.valid) ? exitCodes.ok : exitCodes.error;
+}
+
+/**
+ * Pin a configuration entry to a release version and extract it
+ * @param {Object} options - Parsed command line options
+ * @returns - Promise with the exit code
+ */
+async function rollback(options) {
+    if (!options.args[0]) {
+        console.log(usage);
+        return exitCodes.usage;
+    }
+
+    await rollbackEntry(options.configPath, options.args[0], options.args[1]);
+    return exitCodes.ok;
+}
@@ -3,10 +3,19 @@
  */
 
 const util = require('util');
-const execP = util.promisify(require('child_process').exec);
-const { exec, execSync } = require('child_process');
+const { execFile, spawn } = require('child_process');
+const execFileP = util.promisify(execFile);
+const { PassThrough, pipeline } = require('stream');
 const fs = require('fs');
-const crypto = require('crypto');
+const mtree = require('./mtree.js');
+const { fetch, stream, lastModified, casyncEnv, redact } = require('./http.js');
+
+/**
+ * Options used by the wrapper, which are not passed to casync:
+ * - http - HTTP settings for remote sources (see http.js)
+ * - throttle - Throttle for downloads by the wrapper (see bandwidth.js)
+ */
+const wrapperOptions = ['http', 'throttle'];
 
 /**
  * Nodejs wrapper for casync (see https://github.com/systemd/casync) with added functionality
@@ -21,7 +30,7 @@ class casync {
      */
     static make(index, source, options) {
         return new Promise((resolve, reject) => {
-            execP(`casync make ${this._optionString(options)} ${index} ${source}`).then(data => {
+            this._exec(['make'], options, [index, source]).then(data => {
                 if (data.stderr && data.stderr != '') {
                     reject(data.stderr.toString());
                 }
@@ -31,15 +40,18 @@ class casync {
                     // Write checksum to disk
                     this.writeFile(index + ".cks", checksum);
 
-                    // Calculate mtree
-                    this.mtree(index, options).then(data => {
-                        if (data) {
-                            this.writeFile(index + ".mtree", data);
+                    // Stream the mtree output to the mtree file, avoiding large output buffers
+                    let part = index + '.mtree.part';
+                    pipeline(this._mtreeStream(index, options), fs.createWriteStream(part), err => {
+                        if (err) {
+                            fs.unlink(part, () => { });
+                            reject(err.message);
+                        }
+                        else {
+                            fs.renameSync(part, index + '.mtree');
+                            // Return checksum with promise
+                            resolve(checksum);
                         }
-                        // Return checksum with promise
-                        resolve(checksum);
-                    }).catch(err => {
-                        reject(err.message);
                     });
                 }
             }).catch(err => {
@@ -57,7 +69,7 @@ class casync {
      */
     static extract(index, destination, options) {
         return new Promise((resolve, reject) => {
-            execP(`casync extract ${this._optionString(options)} ${index} ${destination}`).then(data => {
+            this._exec(['extract'], options, [index, destination]).then(data => {
                 if (data.stderr && data.stderr != '') {
                     reject(data.stderr.toString());
                 }
@@ -82,17 +94,13 @@ class casync {
     static digest(target, options) {
         return new Promise((resolve, reject) => {
             // Check if there is a checksum file
-            this.readFile(target + ".cks").then(checksum => {
+            this.readFile(target + ".cks", false, options).then(checksum => {
                 if (checksum) {
                     resolve(checksum);
                 }
                 else {
                     // Digest target
-                    execP(`casync digest ${this._optionString(options)} ${target}`).then(data => {
-                        resolve(data.stdout.trim());
-                    }).catch(err => {
-                        reject(err.message);
-                    });
+                    this.checksum(target, options).then(resolve).catch(reject);
                 }
             }).catch(err => {
                 reject(err.message);
@@ -100,19 +108,83 @@ class casync {
         });
     }
 
-    static _optionString(options) {
-        if (options) {
-            try {
-                let s = '';
-                options.forEach(option => {
-                    s += '--' + Object.keys(option)[0] + '=' + Object.values(option)[0] + ' ';
-                });
-                return s;
-            }
-            catch {
-                throw Error('Invalid options format');
-            }
+    /**
+     * Calculates the checksum of the target casync archive, directory or device without using a checksum file. For more information, see man casync.
+     * @param {String} target 
+     * @param {Object} options - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }. For more information, see man casync.
+     * @returns - Promise containing the checksum
+     */
+    static checksum(target, options) {
+        return new Promise((resolve, reject) => {
+            this._exec(['digest'], options, [target]).then(data => {
+                resolve(data.stdout.trim());
+            }).catch(err => {
+                reject(err.message);
+            });
+        });
+    }
+
+    /**
+     * Runs a casync command. The arguments are passed without a shell.
+     * @param {Array} command - casync command, e.g. [ 'extract' ]
+     * @param {Object} options - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }
+     * @param {Array} args - Command arguments (paths or URLs)
+     * @returns - Promise with the command output ({ stdout, stderr })
+     */
+    static _exec(command, options, args) {
+        let env;
+        try {
+            env = this._env(options, args);
+        }
+        catch (err) {
+            return Promise.reject(err);
         }
+        return execFileP('casync', command.concat(this._optionArgs(options), args), {
+            maxBuffer: 1024000000,
+            env: env,
+        }).catch(err => {
+            // Do not log credentials passed in URLs
+            err.message = redact(err.message);
+            throw err;
+        });
+    }
+
+    /**
+     * Converts casync options to a list of command line arguments. Wrapper options (see wrapperOptions) are skipped.
+     * @param {Object} options - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }
+     * @returns - List of arguments, e.g. [ '--option1=value' ]
+     */
+    static _optionArgs(options) {
+        try {
+            return (options || []).filter(option => !wrapperOptions.includes(Object.keys(option)[0])).map(option => {
+                return '--' + Object.keys(option)[0] + '=' + String(Object.values(option)[0]);
+            });
+        }
+        catch {
+            throw Error('Invalid options format');
+        }
+    }
+
+    /**
+     * Get the environment of a casync command, passing the HTTP settings of the options (see http.js)
+     * @param {Object} options - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }
+     * @param {Array} args - Command arguments (paths or URLs)
+     * @returns - Environment variables
+     */
+    static _env(options, args) {
+        let locations = args.concat((options || []).map(option => String(Object.values(option)[0])));
+        return Object.assign({}, process.env, casyncEnv(this.optionValue(options, 'http'), locations));
+    }
+
+    /**
+     * Get the value of a casync or wrapper option
+     * @param {Object} options - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }
+     * @param {String} name - Option name
+     * @returns - Option value, or undefined if not set
+     */
+    static optionValue(options, name) {
+        let option = (options || []).find(option => Object.keys(option)[0] === name);
+        return option && option[name];
     }
 
     /**
@@ -123,8 +195,7 @@ class casync {
      */
     static mtree(target, options) {
         return new Promise((resolve, reject) => {
-            let cmd = `casync mtree ${this._optionString(options)} ${target}`;
-            execP(cmd, { shell: '/bin/bash', maxBuffer: 1024000000 }).then(data => {
+            this._exec(['mtree'], options, [target]).then(data => {
                 if (data.stderr && data.stderr != '') {
                     reject(data.stderr.toString());
                 }
@@ -141,97 +212,106 @@ class casync {
     }
 
     /**
-     * Compares two casync sources (index, store or directory).
-     * @param {String} source1 - Path to source 1 (index file, store file or directory)
+     * Compares two casync sources (index, store or directory). Uses the mtree file (.mtree) of a source if available.
+     * @param {String} source1 - Path to source 1 (index file, store file or directory), e.g. the current state
      * @param {Object} options1 - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }. For more information, see man casync.
-     * @param {String} source2 - Path to source 2 (index file, store file or directory)
+     * @param {String} source2 - Path to source 2 (index file, store file or directory), e.g. the new state
      * @param {Object} options2 - casync options in the following format: [ {option1: value}, {option2, value}, ... , {optionN: value} ] }. For more information, see man casync.
-     * @returns - Promise with an array containing the relative paths to directories and files which are different between source 1 and source 2.
+     * @param {Boolean} mtreeFile - (optional) Only read source 2 from its mtree file. Fails if source 2 has no mtree file, instead of
+     * running casync mtree (which downloads the chunks of a remote index).
+     * @returns - Promise with the entries added, modified and removed from source 1 to source 2 ({ added: [], modified: [], removed: [] }, see mtree.js)
      */
-    static diff(source1, options1, source2, options2) {
+    static diff(source1, options1, source2, options2, mtreeFile) {
         return new Promise(async (resolve, reject) => {
             try {
-                // Get mtree file(s)
-                let mtree1;
-                await this.readFile(source1 + ".mtree").then(data => { mtree1 = data }).catch(err => { });
-                let mtree2;
-                await this.readFile(source2 + ".mtree").then(data => { mtree2 = data }).catch(err => { });
-
-                // Check if mtree file output is valid, and run mtree if not valid
-                if (!mtree1) {
-                    await this.mtree(source1, options1).then(data => { mtree1 = data }).catch(err => { reject(err) });
-                }
-                if (!mtree2) {
-                    await this.mtree(source2, options2).then(data => { mtree2 = data }).catch(err => { reject(err) });
-                }
-
-                // Generate unique tmp directory name
-                let tmpDir = '/tmp/casync-updater-' + crypto.randomBytes(20).toString('hex');
-                let tmpSize = Math.round((mtree1.length + mtree2.length) * 4 / 1024 + 1) * 1024;
-
-                // Create tmpfs
-                execSync(`
-                # make tmp dir
-                mkdir -p ${tmpDir}
-
-                # mount tmpfs
-                mount -t tmpfs -o size=${tmpSize} tmpfs ${tmpDir}
-                `, { shell: "/bin/bash" });
-
-                // Write mtree files to tmp dir
-                fs.writeFileSync(tmpDir + '/mtree1', mtree1);
-                fs.writeFileSync(tmpDir + '/mtree2', mtree2);
-
-                // Use the built-in shell diff command to compare the outputs of mtree commands on both sources.
-                // diff exits with exit code 1 when difference is detected, causing exec(Sync) to throw an error.
-                // As this is normal operation, the error is catched.
-                try {
-                    execSync(`
-                    diff ${tmpDir}/mtree1 ${tmpDir}/mtree2 > ${tmpDir}/diff
-                    `, { shell: "/bin/bash" });
-                }
-                catch { }
-
-
-                // Read diff output
-                let diff = fs.readFileSync(tmpDir + '/diff').toString();
+                // The mtree output of source 2 is only requested after source 1 is read
+                resolve(await mtree.diff(() => this._mtreeSource(source1, options1), () => this._mtreeSource(source2, options2, mtreeFile)));
+            }
+            catch (err) {
+                reject(err.message || err);
+            }
+        });
+    }
 
-                // Cleanup
-                execSync(`
-                umount ${tmpDir}
-                rm -rf ${tmpDir}
-                `, { shell: "/bin/bash" });
+    /**
+     * Get the mtree output of a source: a stream of the mtree file (.mtree) if available, or a stream with the casync mtree output.
+     * mtree files on FTP sources are read in memory.
+     * @param {String} source - Path to the source (index file, store file or directory)
+     * @param {Object} options - casync options
+     * @param {Boolean} mtreeFile - (optional) Fail if there is no mtree file, instead of running casync mtree
+     * @returns - Promise with the mtree output (String) or stream
+     */
+    static async _mtreeSource(source, options, mtreeFile) {
+        let file = source + '.mtree';
+        if (/^https?:\/\//i.test(file)) {
+            let output = await stream(file, this.optionValue(options, 'http'), this.optionValue(options, 'throttle')).catch(err => { });
+            if (output) {
+                return output;
+            }
+        }
+        else if (file.startsWith('ftp')) {
+            let data = await this.readFile(file, false, options).catch(err => { });
+            if (data) {
+                return data;
+            }
+        }
+        else if (fs.existsSync(file)) {
+            return fs.createReadStream(file);
+        }
+        if (mtreeFile) {
+            throw `No mtree file available for ${source}`;
+        }
+        return this._mtreeStream(source, options);
+    }
 
+    /**
+     * Runs casync mtree on a source, and streams the output, avoiding large output buffers
+     * @param {String} source - Path to the source (index file, store file or directory)
+     * @param {Object} options - casync options
+     * @returns - Readable stream with the mtree output. casync errors are reported as stream errors.
+     */
+    static _mtreeStream(source, options) {
+        let child = spawn('casync', ['mtree'].concat(this._optionArgs(options), [source]), {
+            env: this._env(options, [source]),
+        });
+        let stderr = '';
+        child.stderr.on('data', d => { stderr += d });
 
-                // Parse the diff output
-                if (diff) {
-                    let result = [];
-                    diff.split('\n').filter(line => line.startsWith('>')).forEach(line => {
-                        let arr = line.split(' ');
-                        result.push(arr[1]);
-                    });
-                    resolve(result);
-                }
-                else {
-                    resolve([]);
-                }
+        // Report casync errors through the stream
+        let output = new PassThrough();
+        child.stdout.pipe(output, { end: false });
+        child.on('error', err => { output.destroy(err) });
+        child.on('close', code => {
+            if (code !== 0) {
+                output.destroy(new Error(redact(`casync mtree failed for ${source}: ${stderr.trim() || 'exit code ' + code}`)));
             }
-            catch (err) {
-                reject(err.message);
+            else {
+                output.end();
             }
         });
+        return output;
     }
 
     /**
-     * Read a file from an web or local path
+     * Read a file from a web or local path
      * @param {*} path 
+     * @param {Boolean} binary - Return the file contents as a Buffer instead of a string
+     * @param {Object} options - (optional) casync options. The http and throttle wrapper options are used for HTTP(S) downloads, and
+     * the rate-limit-bps option for FTP downloads.
      * @returns Promise with the file contents (if found)
      */
-    static readFile(path) {
+    static readFile(path, binary, options) {
         return new Promise((resolve, reject) => {
             // Determine if index is on disk or web
-            if (path.startsWith('http') || path.startsWith('ftp')) {
-                this.wget(path).then(data => {
+            if (/^https?:\/\//i.test(path)) {
+                fetch(path, this.optionValue(options, 'http'), this.optionValue(options, 'throttle')).then(data => {
+                    resolve(data && (binary ? data : data.toString()));
+                }).catch(err => {
+                    reject(err.message);
+                });
+            }
+            else if (path.startsWith('ftp')) {
+                this.wget(path, binary, this.optionValue(options, 'rate-limit-bps')).then(data => {
                     resolve(data);
                 }).catch(err => {
                     reject(err);
@@ -241,7 +321,7 @@ class casync {
                 // Assume local file path
                 try {
                     let data = fs.readFileSync(path);
-                    resolve(data.toString());
+                    resolve(binary ? data : data.toString());
                 }
                 catch (error) {
                     resolve();
@@ -251,39 +331,46 @@ class casync {
     }
 
     /**
-     * Download a file with wget, and return the file contents
+     * Get the modification time of a file from a web or local path
+     * @param {String} path
+     * @param {Object} options - (optional) casync options. The http wrapper option is used for HTTP(S) requests.
+     * @returns - Promise with the modification time (Date), or undefined if not available
+     */
+    static modified(path, options) {
+        if (/^https?:\/\//i.test(path)) {
+            return lastModified(path, this.optionValue(options, 'http')).catch(err => { });
+        }
+        try {
+            return Promise.resolve(fs.statSync(path).mtime);
+        }
+        catch {
+            return Promise.resolve();
+        }
+    }
+
+    /**
+     * Download a file with wget (FTP only, HTTP(S) files are downloaded with the HTTP client), and return the file contents
      * @param {*} url 
-     * @returns - Returns a promise with the text data when complete
+     * @param {Boolean} binary - Return the file contents as a Buffer instead of a string
+     * @param {Number} rate - (optional) Maximum download rate in bytes per second
+     * @returns - Returns a promise with the text data (or Buffer) when complete
      */
-    static wget(url) {
+    static wget(url, binary, rate) {
         return new Promise((resolve, reject) => {
-            try {
-                let cmd = `wget -q --retry-connrefused --tries=10 --no-http-keep-alive -O '-'
-                --header 'Accept: text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9'
-                --header 'Accept-Encoding: gzip, deflate, br'
-                --header 'Accept-Language: en-US,en;q=0.9,no;q=0.8,fr;q=0.7'
-                --header 'User-Agent: Mozilla/5.0 (X11; Linux armv7l) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36'
-                '${url}'`.replace(/\n/g, ' ');  // replace newline characters with space
+            let args = ['-q', '--tries=3', '-O', '-'].concat(rate ? ['--limit-rate=' + parseInt(rate)] : [], [url]);
 
-                // Increased maxbuffer to allow large files to be downloaded (default is 200kb(?)).
-                exec(cmd, { maxBuffer: 1024000000 }, (error, stdout, stderr) => {
-                    if (error) {
-                        reject(error.message);
-                    }
-                    else if (stderr) {
-                        reject(stderr);
-                    }
-                    else if (stdout) {
-                        resolve(stdout);
-                    }
-                    else {
-                        resolve();
-                    }
-                });
-            }
-            catch (err) {
-                reject(err.message);
-            }
+            // Increased maxbuffer to allow large files to be downloaded (default is 200kb(?)).
+            execFile('wget', args, { maxBuffer: 1024000000, encoding: binary ? 'buffer' : 'utf8' }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(redact(error.message));
+                }
+                else if (stdout && stdout.length > 0) {
+                    resolve(stdout);
+                }
+                else {
+                    resolve();
+                }
+            });
         });
     }
 
@@ -6,189 +6,1856 @@ const { loadJSON, saveJSON } = require("./json.js");
 const fs = require('fs');
 const path = require('path');
 const { casync } = require('./casync.js');
-const { exec, execSync } = require('child_process');
+const { verify } = require('./signature.js');
+const { stagedExtract, rollback, prune, healthCheck } = require('./staging.js');
+const { resolveRelease } = require('./manifest.js');
+const { deviceId } = require('./rollout.js');
+const { startApi } = require('./api.js');
+const { schemas, validate, validateUnique, hasErrors, formatIssue } = require('./schema.js');
+const { lock, lockedBy } = require('./lock.js');
+const { isRemote, probe } = require('./network.js');
+const { reverse } = require('./mtree.js');
+const { matchTrigger, actionInput } = require('./triggers.js');
+const { inWindow, isFirstBootCycle, markBootCycle } = require('./schedule.js');
+const { prefetch, pruneCache, readChunks, chunkPath } = require('./cache.js');
+const { configure: configureBandwidth, entryThrottle, processRate, isMetered } = require('./bandwidth.js');
+const { actionSettings, runActions, runAction } = require('./actions.js');
+const { isHealthy, reportSuccess, reportFailure, sourceHealth } = require('./sources.js');
+const { start: startPeers, stop: stopPeers, peerUrls } = require('./peers.js');
+const { start: startBundles, stop: stopBundles, findBundle, checkBundle, isApplied, markApplied } = require('./bundle.js');
+const { loadReport, saveReport, isDue, verifyBackup, verifyDigest, repairBackup, freeSpace } = require('./backup.js');
+const { collectGarbage, listIndexes, publishedIndex } = require('./publish.js');
+const { removeFile, removeDir } = require('./files.js');
+
+/**
+ * Pre-update hook exit code to postpone an update (EX_TEMPFAIL)
+ */
+const postponeExitCode = 75;
 
 /**
  * Checksum cache
  */
-var checksum = {};
+var checksum = {};
+
+/**
+ * Trigger actions cache
+ */
+var tActions = {};
+
+/**
+ * Verified signature cache
+ */
+var signatures = {};
+
+/**
+ * Cache of checksums which failed the health check (staging mode)
+ */
+var unhealthy = {};
+
+/**
+ * Postponed and deferred updates cache. Contains the source checksum and detected differences per destination path.
+ */
+var postponed = {};
+
+/**
+ * Cache of checksums which were vetoed by a pre-update hook
+ */
+var vetoed = {};
+
+/**
+ * Scheduled configuration entries. Contains the updater entry, interval timer and running state per destination path.
+ */
+var entries = {};
+
+/**
+ * Paused destinations cache
+ */
+var paused = {};
+
+/**
+ * Last cycle result cache
+ */
+var results = {};
+
+/**
+ * Download throttles of running cycles (used to report the current transfer rate)
+ */
+var transfers = {};
+
+/**
+ * Destinations for which the startup actions were executed
+ */
+var startupDone = {};
+
+/**
+ * Configuration file or directory path
+ */
+var configPath;
+
+/**
+ * HTTP API server
+ */
+var api;
+
+/**
+ * Set when the LAN peer server and discovery are started
+ */
+var peering = false;
+
+/**
+ * Set when the removable media are scanned for update bundles
+ */
+var bundleScan = false;
+
+/**
+ * Configuration watcher. Watching can be disabled in the service settings.
+ */
+var watcher;
+var watchEnabled = true;
+
+/**
+ * Configuration reload state
+ */
+var reloading = false;
+var reloadPending = false;
+
+/**
+ * Set when the service is shutting down
+ */
+var shuttingDown = false;
+
+// Start the updaters when started as a service (not when loaded as a module)
+if (require.main === module) {
+    setTimeout(() => {
+        // Load config and make casync archive
+        if (process.argv.length > 2) {
+            configPath = process.argv[2];
+            reload();
+
+            // Reload the configuration on SIGHUP (e.g. systemctl reload)
+            process.on('SIGHUP', () => {
+                reload();
+            });
+        }
+    }, 1000);
+
+    // Complete running cycles before exiting (e.g. systemctl stop)
+    process.on('SIGTERM', () => { shutdown('SIGTERM') });
+    process.on('SIGINT', () => { shutdown('SIGINT') });
+}
+
+/**
+ * Get the configuration file paths for a configuration file or directory
+ * @param {String} path - Configuration file or directory
+ * @returns - List of configuration file paths
+ */
+function configFiles(path) {
+    // Check if the passed path is a directory or file
+    if (fs.lstatSync(path).isDirectory()) {
+        return fs.readdirSync(path).map(file => path + '/' + file);
+    }
+    else if (fs.lstatSync(path).isFile()) {
+        return [path];
+    }
+    else {
+        return [];
+    }
+}
+
+/**
+ * Load a configuration file or all configuration files in a directory. Service settings are applied when loaded.
+ * @param {String} path - Configuration file or directory
+ * @returns - Promise with the valid configuration entries by destination path ({ dstPath: { config, file } }), and the list of files which could not be loaded
+ */
+async function loadConfig(path) {
+    let config = {};
+    let failed = [];
+    let used = {};
+
+    let files = [];
+    try {
+        files = configFiles(path);
+    }
+    catch (err) {
+        console.error(`Error reading configuration file or directory ${path}}: ${err}`);
+    }
+
+    for (let file of files) {
+        await loadFile(file).then(list => {
+            list.forEach(c => {
+                // Entries must not share a destination or a chunk cache directory
+                let issues = validateUnique(c, used, `${file} (${c.dstPath})`);
+                if (hasErrors(issues)) {
+                    logIssues(issues, file);
+                    console.error(`Skipping configuration entry ${c.dstPath} in ${file}`);
+                    return;
+                }
+                config[c.dstPath] = { config: c, file: file };
+            });
+        }).catch(err => {
+            console.error(`Error in ${file}: ${err}`);
+            failed.push(file);
+        });
+    }
+
+    return { config: config, failed: failed };
+}
+
+/**
+ * Load a configuration file and parse the config. A configuration file contains either a list of configuration entries or
+ * an object with service settings.
+ * @param {String} path 
+ * @returns - Promise with the list of valid configuration entries
+ */
+function loadFile(path) {
+    return loadJSON(path).then(config => {
+        if (Array.isArray(config)) {
+            return parseConfig(config, path);
+        }
+        else {
+            parseSettings(config, path);
+            return [];
+        }
+    });
+}
+
+/**
+ * Parse a service settings object
+ * @param {Object} settings 
+ * @param {String} file - Configuration file path (used in log messages)
+ */
+function parseSettings(settings, file) {
+    let issues = validate(settings, schemas.settings);
+    logIssues(issues, file);
+    if (hasErrors(issues)) {
+        console.error(`Skipping invalid service settings in ${file}`);
+        return;
+    }
+
+    if (settings.api && !api) {
+        api = startApi(settings.api, {
+            status: status,
+            cycle: dstPath => forEntry(dstPath, dstPath => { cycle(entries[dstPath]) }),
+            preview: preview,
+            pause: dstPath => forEntry(dstPath, dstPath => { paused[dstPath] = true }),
+            resume: dstPath => forEntry(dstPath, dstPath => { delete paused[dstPath] }),
+            reload: reload,
+        });
+    }
+
+    if (settings.peers && !peering) {
+        startPeers(settings.peers, peerShares);
+        peering = true;
+    }
+
+    if (settings.bundles && !bundleScan) {
+        startBundles(settings.bundles, bundleDetected);
+        bundleScan = true;
+    }
+
+    watchEnabled = settings.watch !== false;
+    configureBandwidth(settings.bandwidth, settings.metered);
+}
+
+/**
+ * Parse a configuration object. Invalid configuration entries are skipped.
+ * @param {object} config 
+ * @param {String} file - Configuration file path (used in log messages)
+ * @returns - List of valid configuration entries
+ */
+function parseConfig(config, file) {
+    if (Array.isArray(config)) {
+        return config.filter((c, i) => {
+            // Check for valid configuration entry
+            let issues = validate(c, schemas.client);
+            logIssues(issues, file, i);
+            if (hasErrors(issues)) {
+                console.error(`Skipping invalid configuration entry ${i} in ${file}`);
+                return false;
+            }
+            return true;
+        });
+    }
+    else {
+        console.error(`Invalid configuration in ${file}: Expected a list of configuration entries`);
+        return [];
+    }
+}
+
+/**
+ * Log configuration validation issues
+ * @param {Array} issues - List of issues (see schema.js)
+ * @param {String} file - Configuration file path
+ * @param {Number} index - (optional) Configuration entry index
+ */
+function logIssues(issues, file, index) {
+    issues.forEach(issue => {
+        if (issue.level === 'error') {
+            console.error(formatIssue(issue, file, index));
+        }
+        else {
+            console.log(formatIssue(issue, file, index));
+        }
+    });
+}
+
+/**
+ * Load the configuration, and reconcile the scheduled configuration entries: new entries are started, removed entries are stopped
+ * and changed entries are restarted. Running cycles are completed before an entry is stopped. Entries from configuration files
+ * which could not be loaded (e.g. while being written) are kept unchanged.
+ * @returns - Promise when complete
+ */
+async function reload() {
+    if (shuttingDown) { return }
+
+    // Run again after the current reload when called during a reload
+    if (reloading) {
+        reloadPending = true;
+        return;
+    }
+    reloading = true;
+
+    try {
+        let { config, failed } = await loadConfig(configPath);
+
+        // Stop removed and changed entries
+        let stopping = [];
+        Object.keys(entries).forEach(dstPath => {
+            let state = entries[dstPath];
+            if (failed.includes(state.file)) {
+                return;
+            }
+
+            if (!config[dstPath]) {
+                console.log(`Stopping removed configuration entry ${dstPath}`);
+                stopping.push(stopEntry(dstPath));
+            }
+            else if (JSON.stringify(config[dstPath].config) !== JSON.stringify(state.config)) {
+                console.log(`Restarting changed configuration entry ${dstPath}`);
+                stopping.push(stopEntry(dstPath));
+            }
+        });
+        await Promise.all(stopping);
+
+        // Start new and changed entries
+        Object.keys(config).forEach(dstPath => {
+            if (!entries[dstPath] && !shuttingDown) {
+                startEntry(config[dstPath].config, config[dstPath].file);
+            }
+        });
+
+        watch();
+    }
+    catch (err) {
+        console.error(`Unable to reload configuration from ${configPath}: ${err.message}`);
+    }
+
+    reloading = false;
+    if (reloadPending) {
+        reloadPending = false;
+        reload();
+    }
+}
+
+/**
+ * Stop scheduling cycles, and exit when the running cycles are completed. A second signal exits immediately.
+ * @param {String} signal - Received signal name (used in log messages)
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        console.log(`Received ${signal} while shutting down, exiting immediately`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+
+    let running = Object.keys(entries).filter(dstPath => entries[dstPath].running);
+    if (running.length) {
+        console.log(`Received ${signal}, waiting for running cycles to complete: ${running.join(', ')}`);
+    }
+
+    if (watcher) {
+        watcher.close();
+        watcher = undefined;
+    }
+    if (api) {
+        api.close();
+    }
+    if (peering) {
+        stopPeers();
+    }
+    if (bundleScan) {
+        stopBundles();
+    }
+
+    await Promise.all(Object.keys(entries).map(stopEntry));
+    process.exit(0);
+}
+
+/**
+ * Watch the configuration file or directory, and reload the configuration on changes
+ */
+function watch() {
+    if (!watchEnabled) {
+        if (watcher) {
+            watcher.close();
+            watcher = undefined;
+        }
+        return;
+    }
+    if (watcher || !configPath) { return }
+
+    try {
+        // Watch the parent directory of a configuration file, as editors often replace the file when saving
+        let dir = configPath;
+        let name;
+        if (!fs.lstatSync(configPath).isDirectory()) {
+            dir = path.dirname(configPath);
+            name = path.basename(configPath);
+        }
+
+        let timer;
+        watcher = fs.watch(dir, (event, filename) => {
+            if (name && filename !== name) { return }
+
+            // Wait for the changes to settle before reloading
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                console.log(`Configuration change detected in ${configPath}`);
+                reload();
+            }, 1000);
+        });
+        watcher.on('error', err => {
+            console.error(`Unable to watch configuration ${configPath}: ${err.message}`);
+        });
+    }
+    catch (err) {
+        console.error(`Unable to watch configuration ${configPath}: ${err.message}`);
+    }
+}
+
+/**
+ * Start a configuration entry: run the first cycle, execute the startup actions and start the interval timer
+ * @param {Object} c - Configuration entry
+ * @param {String} file - Configuration file path
+ */
+async function startEntry(c, file) {
+    let entry = createEntry(c);
+    let state = { entry: entry, config: c, file: file, running: false, stopped: false };
+    entries[entry.dstPath] = state;
+
+    try {
+        // Get destination checksum
+        await loadChecksum(entry);
+
+        // First run
+        if (state.stopped) { return }
+        await cycle(state);
+
+        // Stop if the entry was stopped (e.g. by a configuration reload) during the first run
+        if (state.stopped) { return }
+
+        // Execute startup actions
+        if (!startupDone[entry.dstPath]) {
+            startupDone[entry.dstPath] = true;
+            await execStartup(entry.startup);
+        }
+
+        // Schedule the next cycle
+        schedule(state);
+    }
+    catch (err) {
+        console.error(`Unable to start configuration entry ${entry.dstPath} in ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Stop a configuration entry. Waits for a running cycle to complete.
+ * @param {String} dstPath 
+ * @returns - Promise when the entry is stopped
+ */
+async function stopEntry(dstPath) {
+    let state = entries[dstPath];
+    delete entries[dstPath];
+
+    state.stopped = true;
+    clearTimeout(state.timer);
+    clearTimeout(state.probeTimer);
+    await state.current;
+}
+
+/**
+ * Schedule the next cycle of a configuration entry after the interval (plus a random jitter, if configured)
+ * @param {Object} state - Scheduled configuration entry
+ */
+function schedule(state) {
+    state.timer = setTimeout(() => {
+        if (state.stopped) { return }
+        if (!paused[state.entry.dstPath]) {
+            cycle(state);
+        }
+        schedule(state);
+    }, state.entry.interval + jitter(state.entry));
+}
+
+/**
+ * Get a random delay within the configured jitter
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Delay in milliseconds
+ */
+function jitter(entry) {
+    return entry.jitter ? Math.floor(Math.random() * entry.jitter) : 0;
+}
+
+/**
+ * Start probing the source host if not already probing (e.g. after the source was not available)
+ * @param {Object} state - Scheduled configuration entry
+ */
+function checkSource(state) {
+    if (state.probing || state.stopped) { return }
+    state.probing = true;
+    probeSource(state, state.entry.onlineCheck.interval);
+}
+
+/**
+ * Probe the source and mirror hosts. While no host is reachable, scheduled cycles skip the source (the backup is still applied), and the
+ * hosts are probed with exponential backoff. A cycle is run as soon as a host is reachable again.
+ * @param {Object} state - Scheduled configuration entry
+ * @param {Number} delay - Delay before the next probe in milliseconds
+ */
+async function probeSource(state, delay) {
+    let { entry } = state;
+    let reachable = (await Promise.all(entry.sources.map(source => probe(source.index, entry.onlineCheck.timeout, source.http)))).some(r => r);
+    if (state.stopped) { return }
+
+    if (reachable) {
+        state.probing = false;
+        if (state.offline) {
+            state.offline = false;
+            console.log(`Source host for ${entry.dstPath} is reachable, checking for updates`);
+            state.probeTimer = setTimeout(() => {
+                if (!state.stopped && !paused[entry.dstPath]) {
+                    cycle(state);
+                }
+            }, jitter(entry));
+        }
+        return;
+    }
+
+    if (!state.offline) {
+        state.offline = true;
+        console.log(`Source host for ${entry.dstPath} is not reachable, waiting for connectivity`);
+    }
+    state.probeTimer = setTimeout(() => {
+        probeSource(state, Math.min(delay * 2, entry.onlineCheck.maxInterval));
+    }, delay);
+}
+
+/**
+ * Run a cycle for a scheduled configuration entry. Skipped if the previous cycle is still running.
+ * @param {Object} state - Scheduled configuration entry
+ * @returns - Promise with the cycle result (undefined if skipped)
+ */
+async function cycle(state) {
+    if (state.running) {
+        console.log(`Skipping cycle for ${state.entry.dstPath}: previous cycle is still running`);
+        return;
+    }
+
+    // Errors are logged and reported as failed cycle, so that callers which do not wait for the cycle (timers, API) and the shutdown
+    // are not affected
+    let { dstPath } = state.entry;
+    let result;
+    state.running = true;
+    let boot = isFirstBootCycle(dstPath);
+    state.current = runCycle(state.entry, { offline: state.offline, boot: boot }).catch(err => {
+        let message = `Cycle for ${dstPath} failed: ${err.message || err}`;
+        console.error(message);
+        return endCycle(dstPath, { start: new Date().toISOString(), status: 'failed', errors: [message], triggers: [] });
+    });
+    try {
+        result = await state.current;
+    }
+    finally {
+        state.running = false;
+    }
+
+    // Only the first cycle after boot applies updates of entries with applyAtBoot. The boot cycle is only counted once it reached the
+    // source or applied an update, so a cycle skipped because of the lock, or run before the network is up, does not use it up.
+    if (boot && (result.sourceChecksum || result.status === 'updated')) {
+        markBootCycle(dstPath);
+    }
+
+    // Check the source host connectivity if the source was not available
+    if (result.status !== 'skipped' && !result.sourceChecksum && state.entry.onlineCheck) {
+        checkSource(state);
+    }
+
+    return result;
+}
+
+/**
+ * Get the archives shared with LAN peers: the chunk caches and backups of the scheduled configuration entries
+ * @returns - List of cache directories ({ indexDir, store }) and backups ({ index, checksum, store }) (see peers.js)
+ */
+function peerShares() {
+    let shares = [];
+    Object.keys(entries).forEach(dstPath => {
+        let { entry } = entries[dstPath];
+        if (entry.cache) {
+            shares.push({ indexDir: path.join(entry.cache.dir, 'index'), store: path.join(entry.cache.dir, 'store') });
+        }
+        if (entry.backupIndex && results[dstPath] && results[dstPath].backupChecksum) {
+            shares.push({ index: entry.backupIndex, checksum: results[dstPath].backupChecksum, store: entry.backupStore });
+        }
+    });
+    return shares;
+}
+
+/**
+ * Preview the update of scheduled configuration entries (see previewUpdate)
+ * @param {String} dstPath - (optional) Destination path. All entries are previewed if not passed.
+ * @returns - Promise with the list of update previews, or false if the entry is not found
+ */
+function preview(dstPath) {
+    if (dstPath && !entries[dstPath]) {
+        return false;
+    }
+    return Promise.all((dstPath ? [dstPath] : Object.keys(entries)).map(dstPath => previewUpdate(entries[dstPath].entry)));
+}
+
+/**
+ * Run a cycle for the scheduled configuration entries with an archive in a detected update bundle (see bundle.js)
+ * @param {Object} bundle - Update bundle (see bundle.js)
+ */
+function bundleDetected(bundle) {
+    Object.keys(entries).forEach(dstPath => {
+        let state = entries[dstPath];
+        if (!paused[dstPath] && bundle.entries.some(e => e.name === state.entry.bundle)) {
+            console.log(`Checking update bundle ${bundle.dir} for ${dstPath}`);
+            cycle(state);
+        }
+    });
+}
+
+/**
+ * Call a function for a scheduled configuration entry, or for all entries if no destination path is passed
+ * @param {String} dstPath - (optional)
+ * @param {Function} fn - Function called with the destination path
+ * @returns - false if the entry is not found
+ */
+function forEntry(dstPath, fn) {
+    if (!dstPath) {
+        Object.keys(entries).forEach(fn);
+    }
+    else if (entries[dstPath]) {
+        fn(dstPath);
+    }
+    else {
+        return false;
+    }
+}
+
+/**
+ * Get the status of the scheduled configuration entries
+ * @returns - List of entry statuses
+ */
+function status() {
+    return Object.keys(entries).map(dstPath => {
+        return {
+            dstPath: dstPath,
+            srcIndex: entries[dstPath].entry.srcIndex,
+            sources: entries[dstPath].entry.sources.map(source => Object.assign({ index: source.index, priority: source.priority }, sourceHealth(source))),
+            paused: Boolean(paused[dstPath]),
+            online: !entries[dstPath].offline,
+            running: entries[dstPath].running,
+            transfer: transfers[dstPath] && transfers[dstPath].stats(),
+            checksum: checksum[dstPath],
+            backup: backupStatus(entries[dstPath].entry),
+            lastResult: results[dstPath],
+        };
+    });
+}
+
+/**
+ * Check for a valid configuration entry
+ * @param {Object} c - Configuration entry
+ * @returns - true if the configuration entry is valid (see schema.js)
+ */
+function isValidEntry(c) {
+    return !hasErrors(validate(c, schemas.client));
+}
+
+/**
+ * Create an updater entry from a configuration entry, adding the casync options
+ * @param {Object} c - Configuration entry
+ * @returns - Updater entry
+ */
+function createEntry(c) {
+    // Sources in priority order: the source (priority 0) and the mirrors (by default in the listed order)
+    let primary = { index: c.srcIndex, store: c.srcStore, priority: 0, http: c.http };
+    let sources = [primary].concat((c.mirrors || []).map((m, i) => {
+        return { index: m.index, store: m.store, priority: m.priority !== undefined ? m.priority : i + 1, http: m.http || c.http };
+    })).map(source => Object.assign(source, { options: sourceOptions(source) })).sort((a, b) => a.priority - b.priority);
+
+    let dstOptions = [
+        { with: '2sec-time' },
+    ];
+
+    let backupOptions = [
+        { store: c.backupStore },
+        { with: '2sec-time' },
+    ];
+
+    // Device details used to select the rollout cohort
+    let device = {
+        id: c.deviceId || deviceId(),
+        groups: c.groups || [],
+    };
+
+    // Source host connectivity check (remote sources only)
+    let onlineCheck;
+    if (sources.every(source => isRemote(source.index)) && !(c.onlineCheck && c.onlineCheck.enabled === false)) {
+        onlineCheck = Object.assign({ interval: 10000, maxInterval: c.interval, timeout: 5000 }, c.onlineCheck);
+    }
+
+    // Name of the entry in update bundles
+    let bundle = c.bundle || path.parse(c.srcIndex).name;
+
+    return Object.assign({}, c, { bundle: bundle, srcOptions: primary.options, sources: sources, dstOptions: dstOptions, backupOptions: backupOptions, device: device, onlineCheck: onlineCheck });
+}
+
+/**
+ * Get the casync options of a source
+ * @param {Object} source - Source or mirror ({ index, store, http })
+ * @returns - casync options
+ */
+function sourceOptions(source) {
+    let options = [
+        { store: source.store },
+        { with: '2sec-time' },  // This option seems to ignore user details
+    ];
+
+    // HTTP settings for the source (see http.js)
+    if (source.http) {
+        options.push({ http: source.http });
+    }
+    return options;
+}
+
+/**
+ * Get the destination checksum, and store it in the checksum cache
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Promise with the destination checksum (undefined if not available)
+ */
+async function loadChecksum(entry) {
+    await casync.digest(entry.dstPath, entry.dstOptions).then(data => {
+        checksum[entry.dstPath] = data;
+        // console.log(`Found checksum for destination ${entry.dstPath}`);
+    }).catch(err => {
+        console.error(`Unable to find checksum for destination ${entry.dstPath}: ${err}`)
+    });
+    return checksum[entry.dstPath];
+}
+
+/**
+ * Resolve the source index, and get the source checksum from the source and mirrors. Sources which recently failed are skipped (unless
+ * all sources failed). The sources are ordered newest archive first: by release timestamp when following a version or channel, and
+ * otherwise by index file modification time. Sources with archives of the same age are ordered by priority.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Promise with the source index, checksum and casync options of the newest source, and the list of available sources in
+ * the same format ({ srcIndex, sourceChecksum, srcOptions, source, candidates }). Values are undefined if not available.
+ */
+async function resolveSource(entry) {
+    let sources = entry.sources.filter(isHealthy);
+    let candidates = (await Promise.all((sources.length ? sources : entry.sources).map(source => querySource(entry, source)))).filter(c => c);
+
+    // The modification time is only needed to choose between sources
+    if (candidates.length > 1) {
+        for (let c of candidates.filter(c => c.timestamp === undefined)) {
+            let modified = await casync.modified(c.srcIndex, c.srcOptions);
+            c.timestamp = modified ? modified.getTime() : 0;
+        }
+        candidates.sort((a, b) => b.timestamp - a.timestamp || a.source.priority - b.source.priority);
+    }
+
+    // Chunks missing in the store of the selected source are fetched from the stores of the other available sources
+    candidates.forEach(c => {
+        let stores = [...new Set(candidates.map(other => other.source.store))].filter(store => store !== c.source.store);
+        c.srcStores = [c.source.store].concat(stores);
+        c.srcOptions = c.srcOptions.concat(stores.map(store => ({ 'extra-store': store })));
+    });
+
+    return Object.assign({ candidates: candidates }, candidates[0]);
+}
+
+/**
+ * Get the source index and checksum from a source or mirror, and register the source health (see sources.js). A missing release is not
+ * registered as failure.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} source - Source or mirror (see createEntry)
+ * @returns - Promise with the source index, checksum, release timestamp and casync options
+ * ({ srcIndex, sourceChecksum, timestamp, srcOptions, source }), or undefined if not available
+ */
+async function querySource(entry, source) {
+    let error;
+
+    // Resolve the source index of the pinned version or channel from the release manifest.
+    // When following a channel, only releases which include this device in the rollout cohort are selected.
+    let srcIndex = source.index;
+    let timestamp;
+    if (entry.version || entry.channel) {
+        srcIndex = undefined;
+        await resolveRelease(source.index, entry.version, entry.channel, entry.device, source.options, entry.publicKeys).then(data => {
+            if (data) {
+                srcIndex = data.index;
+                timestamp = Date.parse(data.release.timestamp) || 0;
+            }
+            else {
+                console.log(`Release ${entry.version || entry.channel} not available in ${source.index}`);
+            }
+        }).catch(err => {
+            console.log(`Release ${entry.version || entry.channel} not available: ${err}`);
+            error = err;
+        });
+    }
+
+    // Get the source checksum
+    let sourceChecksum;
+    if (srcIndex) {
+        await casync.digest(srcIndex, source.options).then(data => {
+            sourceChecksum = data.trim();
+            // console.log(`Found checksum for source ${srcIndex}`);
+        }).catch(err => {
+            console.log(`Source index not available: ${srcIndex}`);
+            error = err;
+        });
+    }
+
+    // Read the index, mtree and signature files from the published copy matching the checksum (see publishIndex), so the files are
+    // not replaced by a newer archive while they are read. Servers which do not publish copies are read directly.
+    if (sourceChecksum && srcIndex === source.index && /^[0-9a-f]{64}$/.test(sourceChecksum)) {
+        let published = publishedIndex(srcIndex, sourceChecksum);
+        await casync.readFile(published + '.cks', false, source.options).then(data => {
+            if (data && data.trim() === sourceChecksum) {
+                srcIndex = published;
+            }
+        }).catch(err => { });
+    }
+
+    if (error) {
+        reportFailure(source, String(error.message || error).trim());
+        return;
+    }
+    reportSuccess(source);
+
+    if (sourceChecksum) {
+        return { srcIndex: srcIndex, sourceChecksum: sourceChecksum, timestamp: timestamp, srcOptions: source.options, source: source };
+    }
+}
+
+/**
+ * Get the backup checksum
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Promise with the backup checksum (undefined if not available)
+ */
+async function backupDigest(entry) {
+    let backupChecksum;
+    if (entry.backupIndex && entry.backupOptions) {
+        await casync.digest(entry.backupIndex, entry.backupOptions).then(data => {
+            backupChecksum = data.trim();
+            // console.log(`Found checksum for backup: ${entry.backupIndex}`);
+        }).catch(err => {
+            console.log(`Backup index not available: ${entry.backupIndex}`);
+        });
+    }
+    return backupChecksum;
+}
+
+/**
+ * Run a casync cycle. The cycle is skipped if the destination is locked by another cycle (in this or another process, e.g. the command line tool).
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} options - (optional) Cycle options ({ offline: Boolean, boot: Boolean, force: Boolean }). The source is skipped when
+ * offline. The boot flag marks the first cycle after the system booted (see applyAtBoot). Force applies updates outside the maintenance
+ * window and on metered connections.
+ * @returns - Promise with the cycle result
+ */
+async function runCycle(entry, options) {
+    let result = {
+        start: new Date().toISOString(),
+        status: 'unchanged',
+        errors: [],
+        triggers: [],
+    };
+
+    let release;
+    let throttle;
+    try {
+        release = lock(entry.dstPath);
+        if (!release) {
+            result.status = 'skipped';
+            result.end = new Date().toISOString();
+            console.log(`Skipping cycle for ${entry.dstPath}: destination is locked by process ${lockedBy(entry.dstPath)}`);
+            return result;
+        }
+
+        throttle = entryThrottle(entry.bandwidth);
+        transfers[entry.dstPath] = throttle;
+
+        let previousChecksum = checksum[entry.dstPath];
+        await updateDestination(limitEntry(entry, throttle), result, options || {});
+        await execPostUpdate(entry, previousChecksum, result);
+
+        // Verify the backup store when due
+        let settings = backupCheckSettings(entry);
+        if (settings && isDue(entry.backupIndex, settings.interval)) {
+            result.backupCheck = await checkBackup(limitEntry(entry, throttle), result.sourceChecksum !== undefined, result.backupChecksum);
+        }
+        return result;
+    }
+    finally {
+        if (throttle) {
+            let { bytes, rate } = throttle.stats();
+            result.transfer = { bytes: bytes, rate: rate };
+            delete transfers[entry.dstPath];
+        }
+        if (release) {
+            release();
+        }
+    }
+}
+
+/**
+ * Apply the bandwidth limits to an updater entry for a cycle. Downloads by the client (metadata files and chunk cache downloads) share
+ * the throttle, and casync processes are limited to the lowest of the entry and global rates.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Throttle} throttle - Entry throttle (see bandwidth.js)
+ * @returns - Updater entry with rate limited source (and mirror) options
+ */
+function limitEntry(entry, throttle) {
+    let rate = processRate(entry.bandwidth);
+    let limits = [{ throttle: throttle }].concat(rate ? [{ 'rate-limit-bps': rate }] : []);
+    let sources = entry.sources.map(source => Object.assign({}, source, { options: source.options.concat(limits) }));
+    return Object.assign({}, entry, { srcOptions: entry.srcOptions.concat(limits), sources: sources });
+}
+
+/**
+ * Select the newest source with a trusted signature. Sources with untrusted signatures are registered as failed (see sources.js).
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Array} candidates - Available sources, newest first (see resolveSource)
+ * @param {Object} result - Cycle result
+ * @returns - Promise with the selected source (see resolveSource), or undefined if no trusted source is available. A source with the
+ * destination checksum is selected without verifying its signature, as the destination is then not updated.
+ */
+async function trustedSource(entry, candidates, result) {
+    let { dstPath, publicKeys } = entry;
+    for (let c of candidates) {
+        if (c.sourceChecksum === checksum[dstPath]) {
+            return c;
+        }
+
+        let sig;
+        await verify(c.srcIndex, publicKeys, c.sourceChecksum, c.srcOptions).then(data => {
+            sig = data;
+        }).catch(err => {
+            logError(result, `Refusing to extract untrusted source ${c.srcIndex}: ${err}`);
+            reportFailure(c.source, `Untrusted source: ${err}`);
+        });
+
+        if (sig) {
+            signatures[dstPath] = sig;
+            return c;
+        }
+    }
+}
+
+/**
+ * Get an updater entry using a selected source
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} selected - Selected source (see resolveSource)
+ * @returns - Updater entry with the store and casync options of the selected source
+ */
+function sourceEntry(entry, selected) {
+    return Object.assign({}, entry, { srcStore: selected.source.store, srcStores: selected.srcStores, srcOptions: selected.srcOptions });
+}
+
+/**
+ * Update the destination from the source, or from an update bundle or the backup if the source is not available, and save the backup
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} result - Cycle result
+ * @param {Object} options - Cycle options (see runCycle)
+ * @returns - Promise with the cycle result
+ */
+async function updateDestination(entry, result, options) {
+    let { backupIndex, backupOptions, dstPath, dstOptions, triggers, publicKeys, staging } = entry;
+
+    // Get the source and backup checksums
+    // Check which steps are permitted by the maintenance window
+    let steps = permittedSteps(entry, options);
+    if (!steps.check) {
+        result.status = 'deferred';
+        return endCycle(dstPath, result);
+    }
+
+    let { srcIndex, sourceChecksum, srcOptions, candidates } = options.offline ? {} : await resolveSource(entry);
+    result.offline = Boolean(options.offline);
+    let backupChecksum = await backupDigest(entry);
+    result.srcIndex = srcIndex;
+    result.sourceChecksum = sourceChecksum;
+    result.backupChecksum = backupChecksum;
+
+    // Select the newest source, or the newest source with a trusted signature if the signature is not trusted
+    let selected = candidates && candidates[0];
+    if (sourceChecksum && sourceChecksum !== checksum[dstPath] && publicKeys) {
+        selected = await trustedSource(entry, candidates, result);
+        if (!selected) {
+            result.status = 'failed';
+            return endCycle(dstPath, result);
+        }
+        ({ srcIndex, sourceChecksum, srcOptions } = selected);
+        result.srcIndex = srcIndex;
+        result.sourceChecksum = sourceChecksum;
+    }
+    if (selected) {
+        entry = sourceEntry(entry, selected);
+    }
+
+    // If the source is not available, an update bundle on removable media is applied instead of the backup
+    let restore = { index: backupIndex, options: backupOptions, checksum: backupChecksum };
+    if (!sourceChecksum) {
+        restore = bundleArchive(entry, result) || restore;
+    }
+    let restoreName = restore.bundle ? 'bundle' : 'backup';
+
+    // Check if source checksum changed (or first run)
+    if (sourceChecksum && sourceChecksum !== checksum[dstPath]) {
+        if (isRejected(entry, sourceChecksum, result)) {
+            return endCycle(dstPath, result);
+        }
+
+        // Suspend non-urgent downloads on metered connections. The changes are detected when the download is resumed. The check runs
+        // after the signature verification, so that an untrusted source fails the cycle instead of being deferred.
+        if (!options.force && isRemote(srcIndex) && !(entry.bandwidth && entry.bandwidth.urgent) && await isMetered()) {
+            console.log(`Deferring the update of ${dstPath} from ${srcIndex}: metered connection`);
+            result.metered = true;
+            await deferUpdate(entry, srcIndex, sourceChecksum, undefined, { download: false }, result);
+            return endCycle(dstPath, result);
+        }
+
+        // Get added, modified and removed files / directories (used for triggers). The differences detected before a postponed
+        // update are kept, as the destination is not modified while the update is postponed.
+        let diff;
+        if (postponed[dstPath] && postponed[dstPath].checksum === sourceChecksum && postponed[dstPath].diff) {
+            diff = postponed[dstPath].diff;
+        }
+        else {
+            await casync.diff(dstPath, dstOptions, srcIndex, srcOptions).then(data => {
+                diff = data;
+            }).catch(err => {
+                logError(result, `Failed to detect differences between ${srcIndex} and ${dstPath}: ${err}`);
+            });
+        }
+
+        // Defer the update until the maintenance window
+        if (!steps.apply) {
+            await deferUpdate(entry, srcIndex, sourceChecksum, diff, steps, result);
+            return endCycle(dstPath, result);
+        }
+
+        // Run the pre-update hooks
+        if (!await execPreUpdate(entry, srcIndex, sourceChecksum, diff, result)) {
+            return endCycle(dstPath, result);
+        }
+
+        // Download the chunks to the local cache, and extract from the cache
+        let extractIndex = srcIndex;
+        let extractOptions = srcOptions;
+        if (entry.cache) {
+            let cached = await prefetchSource(entry, srcIndex, sourceChecksum, result);
+            if (!cached) {
+                result.status = 'failed';
+                return endCycle(dstPath, result);
+            }
+            extractIndex = cached.index;
+            extractOptions = cached.options;
+        }
+
+        // Use the tree prepared outside the maintenance window as seed
+        let prepared = await preparedSeed(entry, sourceChecksum);
+        if (prepared) {
+            extractOptions = extractOptions.concat([{ seed: prepared }]);
+        }
+
+        if (staging) {
+            await stagedUpdate(extractIndex, extractOptions, dstPath, dstOptions, sourceChecksum, staging, result, diff, triggers);
+        }
+        else {
+            // Exctract source and update cached checksum
+            await extract(extractIndex, extractOptions, dstPath, dstOptions).then(data => {
+                if (data) {
+                    checksum[dstPath] = data;
+                    result.status = 'updated';
+                    console.log(`Extracted source from ${srcIndex} to ${dstPath}`);
+                }
+                else {
+                    result.status = 'failed';
+                    logError(result, `Failed to extract source from ${srcIndex} to ${dstPath}`);
+                }
+            }).catch(err => {
+                result.status = 'failed';
+                logError(result, `Failed to extract source from ${srcIndex} to ${dstPath}: ${err}`);
+                delete checksum[dstPath];
+            });
+
+            // Execute triggers
+            result.triggers = result.triggers.concat(await execTriggers(diff, triggers));
+        }
+
+        if (prepared) {
+            removePrepared(dstPath);
+        }
+
+        // Remove the chunks of previous archives from the cache
+        if (entry.cache && result.status === 'updated') {
+            try {
+                pruneCache(entry.cache, [extractIndex]);
+            }
+            catch (err) {
+                logError(result, `Unable to prune the chunk cache ${entry.cache.dir}: ${err.message}`);
+            }
+        }
+    }
+    // If the source is not available, try to extract from the bundle or backup source. Bundles are also applied to an empty destination.
+    else if (!sourceChecksum && restore.checksum && (checksum[dstPath] || restore.bundle) &&
+        checksum[dstPath] !== restore.checksum) {
+        result.restoreIndex = restore.index;
+        result.restoreChecksum = restore.checksum;
+        if (isRejected(entry, restore.checksum, result)) {
+            return endCycle(dstPath, result);
+        }
+
+        // Verify the bundle or backup signature
+        if (publicKeys) {
+            let sig;
+            await verify(restore.index, publicKeys, restore.checksum).then(data => {
+                sig = data;
+            }).catch(err => {
+                logError(result, `Refusing to extract untrusted ${restoreName} ${restore.index}: ${err}`);
+            });
+
+            if (!sig) {
+                result.status = 'failed';
+                return endCycle(dstPath, result);
+            }
+            signatures[dstPath] = sig;
+        }
+
+        // Defer the update until the maintenance window. Bundles and backups are local, and are therefore not prepared.
+        if (!steps.apply) {
+            await deferUpdate(entry, restore.index, restore.checksum, undefined, Object.assign({}, steps, { download: false }), result);
+            return endCycle(dstPath, result);
+        }
+
+        // Run the pre-update hooks
+        if (!await execPreUpdate(entry, restore.index, restore.checksum, undefined, result)) {
+            return endCycle(dstPath, result);
+        }
+
+        // Bundles are updates, backups restore a previous destination state
+        let status = restore.bundle ? 'updated' : 'restored';
+        if (staging) {
+            await stagedUpdate(restore.index, restore.options, dstPath, dstOptions, restore.checksum, staging, result);
+            if (result.status === 'updated') {
+                result.status = status;
+            }
+        }
+        else {
+            await extractBackup(restore.index, restore.options, dstPath, dstOptions).then(data => {
+                if (data) {
+                    checksum[dstPath] = data
+                    result.status = status;
+                    console.log(`Extracted ${restoreName} from ${restore.index} to ${dstPath}`);
+                }
+                else {
+                    result.status = 'failed';
+                    logError(result, `Failed to extract ${restoreName} from ${restore.index} to ${dstPath}`);
+                };
+            }).catch(err => {
+                result.status = 'failed';
+                logError(result, `Failed to extract ${restoreName} from ${restore.index} to ${dstPath}: ${err}`);
+                delete checksum[dstPath];
+            });
+        }
+    }
+
+    // check if backup checksum is outdated (or first run)
+    if (backupIndex && checksum[dstPath] && backupChecksum !== checksum[dstPath]) {
+        await saveBackup(entry, srcIndex, sourceChecksum, result).then(data => {
+            result.backupChecksum = data;
+        }).catch(err => { });
+
+        // Remove the chunks of previous backups
+        let settings = backupCheckSettings(entry);
+        if (result.backupChecksum && settings && settings.prune) {
+            pruneBackup(entry);
+        }
+    }
+
+    return endCycle(dstPath, result);
+}
+
+/**
+ * Find an archive for an updater entry in the update bundles on removable media (see bundle.js). Incomplete bundles are skipped, and
+ * bundled archives are only applied once: archives which the destination contained before are not applied again.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} result - Cycle result
+ * @returns - Bundled archive with its casync options ({ index, options, checksum, bundle }), or undefined if no bundle with an archive
+ * not yet applied to the destination is found
+ */
+function bundleArchive(entry, result) {
+    let found = findBundle(entry.bundle, entry.version);
+    if (!found || found.checksum === checksum[entry.dstPath] || isApplied(entry.dstPath, found.checksum)) {
+        return;
+    }
+
+    let error = checkBundle(found);
+    if (error) {
+        logError(result, `Skipping update bundle ${found.dir}: ${error}`);
+        return;
+    }
+
+    result.bundle = found.dir;
+    return { index: found.index, options: [{ store: found.store }, { with: '2sec-time' }], checksum: found.checksum, bundle: found.dir };
+}
 
 /**
- * Trigger actions cache
+ * Preview the update of a destination without making changes: the files which would be added, modified and removed, the chunks
+ * which are not available locally (in the chunk cache or the backup store), and the triggers which would fire. The archive is selected
+ * like in a cycle: the newest source, or the backup if the source is not available. Signatures are not verified.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Promise with the update preview ({ dstPath, checksum, index, archiveChecksum, from, update, changes, download, triggers, errors }).
+ * changes contains the changed entries per event type and the total size of the added and modified files. download contains the number
+ * of chunks and the uncompressed size of the archive and of the missing chunks. Chunks of unchanged files found in the destination
+ * are not downloaded, so the actual download may be smaller.
  */
-var tActions = {};
+async function previewUpdate(entry) {
+    let { dstPath, dstOptions, backupIndex, backupOptions, triggers } = entry;
+    let report = { dstPath: dstPath, checksum: checksum[dstPath], update: false, errors: [] };
 
-setTimeout(() => {
-// Load config and make casync archive
-if (process.argv.length > 2) {
-    let path = process.argv[2];
-    // Check if the passed path is a directory or file
-    try {
-        if (fs.lstatSync(path).isDirectory()) {
-            let files = fs.readdirSync(path);
-            files.forEach(file => {
-                loadFile(path + '/' + file);
+    let { srcIndex, sourceChecksum, srcOptions } = await resolveSource(entry);
+    let backupChecksum = sourceChecksum ? undefined : await backupDigest(entry);
+    let index, options;
+    if (sourceChecksum) {
+        Object.assign(report, { from: 'source', index: srcIndex, archiveChecksum: sourceChecksum });
+        index = srcIndex;
+        options = srcOptions;
+    }
+    else if (backupChecksum) {
+        Object.assign(report, { from: 'backup', index: backupIndex, archiveChecksum: backupChecksum });
+        index = backupIndex;
+        options = backupOptions;
+    }
+    else {
+        report.errors.push(`Source ${entry.srcIndex} is not available`);
+        return report;
+    }
+
+    report.update = report.archiveChecksum !== checksum[dstPath];
+    if (!report.update) {
+        return report;
+    }
+
+    // Verify the signature before reading the archive
+    if (entry.publicKeys) {
+        let trusted = false;
+        await verify(index, entry.publicKeys, report.archiveChecksum, options).then(() => {
+            trusted = true;
+        }).catch(err => {
+            report.errors.push(`Untrusted ${report.from} ${index}: ${err}`);
+        });
+        if (!trusted) {
+            return report;
+        }
+    }
+
+    // File level changes. Remote archives are only compared using their mtree file, as casync mtree would download the chunks.
+    await casync.diff(dstPath, dstOptions, index, options, isRemote(index)).then(diff => {
+        let size = diff.added.concat(diff.modified).filter(e => e.type === 'file').reduce((sum, e) => sum + (e.size || 0), 0);
+        let brief = e => ({ path: e.path, type: e.type, size: e.size });
+        report.changes = { added: diff.added.map(brief), modified: diff.modified.map(brief), removed: diff.removed.map(brief), size: size };
+    }).catch(err => {
+        report.errors.push(`Failed to detect differences between ${index} and ${dstPath}: ${err}`);
+    });
+
+    // Chunks missing locally. The backup archive is local, so only the source chunks are downloaded.
+    if (report.from === 'source') {
+        let stores = [entry.cache && path.join(entry.cache.dir, 'store'), entry.backupStore].filter(store => store);
+        await casync.readFile(index, true, options).then(data => {
+            if (!data) {
+                throw Error('Index file not found');
+            }
+            let chunks = [...new Map(readChunks(data).map(chunk => [chunk.id, chunk])).values()];
+            let missing = chunks.filter(chunk => !stores.some(store => fs.existsSync(chunkPath(store, chunk.id))));
+            let size = list => list.reduce((sum, chunk) => sum + chunk.size, 0);
+            report.download = { chunks: chunks.length, size: size(chunks), missing: missing.length, missingSize: size(missing) };
+        }).catch(err => {
+            report.errors.push(`Unable to read the chunks of ${index}: ${err.message || err}`);
+        });
+    }
+
+    // Triggers matching the changes
+    if (report.changes && triggers) {
+        report.triggers = triggers.map(trigger => {
+            let matched = matchTrigger(trigger, report.changes);
+            return matched && { paths: trigger.paths, actions: trigger.actions.map(action => actionSettings(action).command), matched: matched };
+        }).filter(trigger => trigger);
+    }
+
+    return report;
+}
+
+/**
+ * Get the update steps permitted by the maintenance settings of an entry: inside the maintenance window (and during the first cycle after
+ * the system booted if applyAtBoot is set) all steps are permitted. Outside, only the steps listed in "outside" are permitted.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Object} options - Cycle options (see runCycle)
+ * @returns - Permitted steps ({ check: Boolean, download: Boolean, apply: Boolean })
+ */
+function permittedSteps(entry, options) {
+    let m = entry.maintenance;
+    let inside = !m || options.force || ((!m.windows || inWindow(m.windows)) && (!m.applyAtBoot || options.boot));
+    if (inside) {
+        return { check: true, download: true, apply: true };
+    }
+
+    let outside = m.outside || ['check'];
+    return { check: outside.includes('check') || outside.includes('download'), download: outside.includes('download'), apply: false };
+}
+
+/**
+ * Defer an update until the maintenance window. The detected changes are kept, and the archive is extracted to the prepared tree
+ * if downloads are permitted outside the maintenance window.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} index - Source, bundle or backup index
+ * @param {String} expected - Source, bundle or backup checksum
+ * @param {Object} diff - (optional) Added, modified and removed entries (see casync.diff)
+ * @param {Object} steps - Permitted steps (see permittedSteps)
+ * @param {Object} result - Cycle result
+ * @returns - Promise when complete
+ */
+async function deferUpdate(entry, index, expected, diff, steps, result) {
+    let { dstPath } = entry;
+    postponed[dstPath] = { checksum: expected, diff: diff };
+    result.status = 'deferred';
+
+    if (steps.download) {
+        if (entry.cache) {
+            await prefetchSource(entry, index, expected, result);
+        }
+        else {
+            await prepare(entry, index, expected).catch(err => {
+                logError(result, `Unable to prepare ${index} for ${dstPath}: ${err}`);
             });
         }
-        else if (fs.lstatSync(path).isFile()) {
-            loadFile(path);
+    }
+}
+
+/**
+ * Download the chunks of the source archive to the local chunk cache, and add the download statistics to the cycle result
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} index - Source index
+ * @param {String} expected - Source checksum
+ * @param {Object} result - Cycle result
+ * @returns - Promise with the local index and casync options to extract from the cache (see cache.js), or undefined if the download failed
+ */
+async function prefetchSource(entry, index, expected, result) {
+    let cached;
+    let cache = Object.assign({ peers: peerUrls() }, entry.cache);
+    await prefetch(index, entry.srcStores || [entry.srcStore], expected, cache, entry.srcOptions).then(data => {
+        cached = data;
+        result.prefetch = { chunks: data.chunks, downloaded: data.downloaded, bytes: data.bytes };
+        if (data.downloaded) {
+            console.log(`Downloaded ${data.downloaded} of ${data.chunks} chunks (${data.bytes} bytes) from ${entry.srcStore} to ${entry.cache.dir}`);
         }
+    }).catch(err => {
+        logError(result, `Unable to download ${index} to the chunk cache ${entry.cache.dir}: ${err.message || err}`);
+    });
+    return cached;
+}
+
+/**
+ * Get the path of the prepared tree of a destination
+ * @param {String} dstPath
+ * @returns - Path of the prepared tree
+ */
+function preparedPath(dstPath) {
+    return path.resolve(dstPath) + '.prepared';
+}
+
+/**
+ * Extract an archive to the prepared tree of a destination, so that the chunks are available locally when the update is applied.
+ * The destination is used as seed to reduce downloads.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} index - Source index
+ * @param {String} expected - Source checksum
+ * @returns - Promise when complete
+ */
+async function prepare(entry, index, expected) {
+    let { dstPath, srcOptions, dstOptions } = entry;
+    if (await preparedSeed(entry, expected)) {
+        return;
     }
-    catch (err) {
-        console.error(`Error reading configuration file or directory ${path}}: ${err}`);
+
+    let dir = preparedPath(dstPath);
+    removePrepared(dstPath);
+    fs.mkdirSync(dir);
+
+    let options = dirExists(dstPath) ? srcOptions.concat([{ seed: dstPath }]) : srcOptions;
+    await casync.extract(index, dir, options);
+
+    let data = (await casync.digest(dir, dstOptions)).trim();
+    if (data !== expected) {
+        removePrepared(dstPath);
+        throw Error(`Checksum of prepared tree ${data} does not match the expected checksum ${expected}`);
+    }
+
+    // Save the checksum (used to find a matching prepared tree)
+    casync.writeFile(dir + '.cks', data);
+    console.log(`Prepared ${index} for ${dstPath} in ${dir}`);
+}
+
+/**
+ * Get the prepared tree of a destination if it matches the expected checksum
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} expected - Source checksum
+ * @returns - Promise with the path of the prepared tree, or undefined if not available
+ */
+async function preparedSeed(entry, expected) {
+    let dir = preparedPath(entry.dstPath);
+    if (!fs.existsSync(dir + '.cks')) {
+        return;
+    }
+
+    let data;
+    await casync.digest(dir, entry.dstOptions).then(d => { data = d.trim() }).catch(err => { });
+    if (data === expected) {
+        return dir;
     }
 }
-}, 1000);
 
+/**
+ * Remove the prepared tree of a destination
+ * @param {String} dstPath
+ */
+function removePrepared(dstPath) {
+    let dir = preparedPath(dstPath);
+    try {
+        fs.unlinkSync(dir + '.cks');
+    }
+    catch { }
+    removeDir(dir);
+}
 
 /**
- * Load a configuration file and parse the config
- * @param {String} path 
+ * Check if an update to an archive checksum was rejected before by a pre-update hook or the health check (staging mode)
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} expected - Source or backup checksum
+ * @param {Object} result - Cycle result
+ * @returns - true if the update was rejected
  */
-function loadFile(path) {
-    loadJSON(path).then(config => {
-        parseConfig(config);
-    }).catch(err => {
-        console.error(`Error in ${path}: ${err}`);
+function isRejected(entry, expected, result) {
+    if (vetoed[entry.dstPath] === expected) {
+        result.status = 'vetoed';
+        return true;
+    }
+    // Do not retry an archive which failed the health check
+    if (entry.staging && unhealthy[entry.dstPath] === expected) {
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Run the pre-update hooks. A hook exiting with exit code 75 postpones the update to the next cycle. Any other non-zero exit code
+ * vetoes the update: the archive is not extracted until the source or backup checksum changes.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} index - Source or backup index
+ * @param {String} expected - Source or backup checksum
+ * @param {Object} diff - (optional) Added, modified and removed entries (see casync.diff)
+ * @param {Object} result - Cycle result
+ * @returns - Promise with true if the update may proceed
+ */
+async function execPreUpdate(entry, index, expected, diff, result) {
+    let { dstPath, preUpdate } = entry;
+    delete postponed[dstPath];
+    if (!preUpdate) {
+        return true;
+    }
+
+    // The changed paths are passed to the hooks on stdin
+    let matched = diff && matchTrigger({ paths: ['.'] }, diff);
+    let input = matched ? actionInput(matched).input : '';
+    let env = hookEnv(dstPath, index, checksum[dstPath], expected);
+
+    result.hooks = { preUpdate: [] };
+    for (let action of preUpdate) {
+        let hook = await runAction(action, { env: env, input: input, label: 'pre-update' });
+        result.hooks.preUpdate.push(hook);
+
+        if (hook.exitCode === postponeExitCode) {
+            postponed[dstPath] = { checksum: expected, diff: diff };
+            result.status = 'postponed';
+            console.log(`Update of ${dstPath} postponed by pre-update hook "${hook.action}"`);
+            return false;
+        }
+        if (hook.error) {
+            vetoed[dstPath] = expected;
+            result.status = 'vetoed';
+            console.log(`Update of ${dstPath} to ${expected} vetoed by pre-update hook "${hook.action}"`);
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Run the post-update hooks after a successful update, or the failure hooks after a failed (or reverted) update
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} previousChecksum - Destination checksum before the update
+ * @param {Object} result - Cycle result
+ * @returns - Promise when complete
+ */
+async function execPostUpdate(entry, previousChecksum, result) {
+    let phase;
+    if (['updated', 'restored'].includes(result.status)) {
+        phase = 'postUpdate';
+    }
+    else if (['failed', 'reverted'].includes(result.status)) {
+        phase = 'onFailure';
+    }
+    if (!phase || !entry[phase]) {
+        return;
+    }
+
+    // The bundle or backup is only extracted if the source is not available
+    let restored = result.restoreIndex !== undefined;
+    let index = restored ? result.restoreIndex : result.srcIndex;
+    let expected = restored ? result.restoreChecksum : result.sourceChecksum;
+    let env = Object.assign(hookEnv(entry.dstPath, index, previousChecksum, expected), {
+        CASYNC_UPDATER_STATUS: result.status,
+        CASYNC_UPDATER_CHECKSUM: result.checksum || '',
+        CASYNC_UPDATER_ERRORS: result.errors.join('\n'),
     });
+
+    result.hooks = result.hooks || {};
+    result.hooks[phase] = await runActions(entry[phase], { env: env, label: phase === 'postUpdate' ? 'post-update' : 'failure' });
 }
 
 /**
- * Parse a configuration object, and schedule updaters
- * @param {object} config 
+ * Get the environment variables passed to update hooks
+ * @param {String} dstPath
+ * @param {String} index - Source, bundle or backup index
+ * @param {String} oldChecksum - Destination checksum before the update
+ * @param {String} newChecksum - Source, bundle or backup checksum
+ * @returns - Environment variables
  */
-function parseConfig(config) {
-    if (Array.isArray(config)) {
-        config.forEach(async c => {
-            // Check for valid configuration entry
-            if (c.interval && c.srcIndex && c.srcStore && c.dstPath) {
-                let srcOptions = [
-                    { store: c.srcStore },
-                    { with: '2sec-time' },  // This option seems to ignore user details
-                ];
-
-                let dstOptions = [
-                    { with: '2sec-time' },
-                ];
-
-                let backupOptions = [
-                    { store: c.backupStore },
-                    { with: '2sec-time' },
-                ];
-
-                // Get destination checksum
-                await casync.digest(c.dstPath, dstOptions).then(data => {
-                    checksum[c.dstPath] = data;
-                    // console.log(`Found checksum for destination ${c.dstPath}`);
-                }).catch(err => {
-                    console.error(`Unable to find checksum for destination ${c.dstPath}: ${err}`)
-                });
+function hookEnv(dstPath, index, oldChecksum, newChecksum) {
+    return {
+        CASYNC_UPDATER_DST_PATH: dstPath,
+        CASYNC_UPDATER_INDEX: index || '',
+        CASYNC_UPDATER_OLD_CHECKSUM: oldChecksum || '',
+        CASYNC_UPDATER_NEW_CHECKSUM: newChecksum || '',
+    };
+}
+
+/**
+ * Get the backup check settings of an updater entry. The backup is checked by default if a backup is configured.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Backup check settings ({ interval, prune, repair }), or undefined if the backup is not checked
+ */
+function backupCheckSettings(entry) {
+    if (!entry.backupIndex || (entry.backupCheck && entry.backupCheck.enabled === false)) {
+        return;
+    }
+    return Object.assign({ prune: true, repair: true }, entry.backupCheck);
+}
+
+/**
+ * Verify the backup store of an updater entry, repair the damaged chunks and remove the unused chunks (depending on the backup check
+ * settings). Damaged chunks are copied from the source stores when online. Chunks which are not available from the sources are created
+ * again from the destination if it matches the backup. The check report is saved next to the backup index (see backup.js) and logged.
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {Boolean} online - Set if the source is available
+ * @param {String} backupChecksum - (optional) Backup checksum
+ * @returns - Promise with the check report
+ */
+async function checkBackup(entry, online, backupChecksum) {
+    let { backupIndex, backupStore, backupOptions, dstPath } = entry;
+    let settings = Object.assign({ prune: true, repair: true }, entry.backupCheck);
+    let report = { lastVerified: new Date().toISOString(), status: 'ok', checksum: backupChecksum, errors: [] };
+
+    try {
+        let verified = verifyBackup(backupIndex, backupStore);
+        let damaged = verified.missing.concat(verified.corrupt);
+        Object.assign(report, { chunks: verified.chunks, missing: verified.missing.length, corrupt: verified.corrupt.length, unverified: verified.unverified });
+        console.log(`Verified backup ${backupIndex}: ${verified.chunks} chunks, ${report.missing} missing, ${report.corrupt} corrupt`);
 
-                // First run
-                await runCycle(c.srcIndex, srcOptions, c.backupIndex, backupOptions, c.dstPath, dstOptions, c.triggers);
+        if (damaged.length && settings.repair) {
+            let sources = online ? entry.sources.map(source => {
+                return { location: source.store, http: casync.optionValue(source.options, 'http'), throttle: casync.optionValue(source.options, 'throttle') };
+            }) : [];
+            let repaired = await repairBackup(backupStore, damaged, sources);
+            damaged = repaired.failed;
 
-                // Execute startup actions
-                execStartup(c.startup);
+            // casync make does not replace existing chunks, so the corrupt chunks are removed before they are created again
+            if (damaged.length && checksum[dstPath] && checksum[dstPath] === backupChecksum) {
+                damaged.filter(id => verified.corrupt.includes(id)).forEach(id => { removeFile(chunkPath(backupStore, id)) });
+                await makeBackup(dstPath, backupIndex, backupOptions).then(() => {
+                    let missing = verifyBackup(backupIndex, backupStore).missing;
+                    damaged = damaged.filter(id => missing.includes(id));
+                }).catch(err => {
+                    report.errors.push(`Unable to recreate the chunks of backup ${backupIndex} from ${dstPath}: ${err}`);
+                });
+            }
 
-                // Start the interval timer
-                setInterval(async () => {
-                    runCycle(c.srcIndex, srcOptions, c.backupIndex, backupOptions, c.dstPath, dstOptions, c.triggers);
-                }, c.interval);
+            report.repaired = report.missing + report.corrupt - damaged.length;
+            if (report.repaired) {
+                console.log(`Repaired ${report.repaired} chunks of backup ${backupIndex}`);
             }
-            else {
-                throw Error(`Invalid configuration: ${JSON.stringify(c)}`);
+        }
+
+        // Chunks in compression formats which cannot be verified by Node.js are verified by the checksum of the archive
+        let valid;
+        if (!damaged.length && verified.unverified) {
+            valid = await verifyDigest(backupIndex, backupOptions);
+            if (valid) {
+                report.unverified = 0;
             }
-        });
+        }
+
+        if (damaged.length) {
+            report.status = 'damaged';
+            report.errors.push(`${damaged.length} chunks of backup ${backupIndex} are missing or corrupt`);
+        }
+        else if (valid === false) {
+            report.status = 'damaged';
+            report.errors.push(`Checksum of backup ${backupIndex} does not match the archive in ${backupStore}`);
+        }
+        else if (report.repaired) {
+            report.status = 'repaired';
+        }
+
+        if (settings.prune) {
+            report.pruned = pruneBackup(entry);
+        }
     }
-    else {
-        throw Error('Invalid configuration');
+    catch (err) {
+        report.status = 'failed';
+        report.errors.push(`Unable to verify backup ${backupIndex}: ${err.message || err}`);
+    }
+
+    report.errors.forEach(message => { console.error(message) });
+    report.free = backupSpace(entry);
+    if (report.free) {
+        console.log(`Backup store ${backupStore}: ${report.free.free} of ${report.free.total} bytes free`);
+    }
+
+    try {
+        saveReport(backupIndex, report);
+    }
+    catch (err) {
+        console.error(`Unable to save the backup check report for ${backupIndex}: ${err.message}`);
     }
+    return report;
 }
 
 /**
- * Run a casync cycle
- * @param {*} srcIndex 
- * @param {*} srcOptions 
- * @param {*} backupIndex 
- * @param {*} backupOptions 
- * @param {*} dstPath
- * @param {*} dstOptions 
- * @param {*} triggers
+ * Remove the chunks from the backup store which are not used by the index files in the backup index directory, or by the backups of other
+ * scheduled entries sharing the store (see publish.js)
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Number and total size of the removed chunks ({ chunks, bytes }), or undefined if the index files cannot be read
  */
-async function runCycle(srcIndex, srcOptions, backupIndex, backupOptions, dstPath, dstOptions, triggers) {
-    // Get the source checksum
-    let sourceChecksum;
-    await casync.digest(srcIndex, srcOptions).then(data => {
-        sourceChecksum = data.trim();
-        // console.log(`Found checksum for source ${srcIndex}`);
-    }).catch(err => {
-        console.log(`Source index not available: ${srcIndex}`);
+function pruneBackup(entry) {
+    let { backupIndex, backupStore } = entry;
+    let indexes = listIndexes(path.dirname(backupIndex));
+    Object.keys(entries).map(dstPath => entries[dstPath].entry).forEach(other => {
+        if (other.backupIndex && other.backupStore === backupStore && !indexes.includes(other.backupIndex) && fs.existsSync(other.backupIndex)) {
+            indexes.push(other.backupIndex);
+        }
     });
 
-    // Get the backup checksum
-    let backupChecksum;
-    if (backupIndex && backupOptions) {
-        await casync.digest(backupIndex, backupOptions).then(data => {
-            backupChecksum = data.trim();
-            // console.log(`Found checksum for backup: ${backupIndex}`);
-        }).catch(err => {
-            console.log(`Backup index not available: ${backupIndex}`);
-        });
+    try {
+        let removed = collectGarbage(backupStore, indexes, false);
+        if (removed.files.length) {
+            console.log(`Removed ${removed.files.length} unused chunks (${removed.bytes} bytes) from backup store ${backupStore}`);
+        }
+        return { chunks: removed.files.length, bytes: removed.bytes };
+    }
+    catch (err) {
+        console.error(`Unable to remove unused chunks from backup store ${backupStore}: ${err.message}`);
     }
+}
 
-    // Check if source checksum changed (or first run)
-    if (sourceChecksum && sourceChecksum !== checksum[dstPath]) {
-        // Get changed files / directories (used for triggers)
-        let diff;
-        await casync.diff(srcIndex, srcOptions, dstPath, dstOptions).then(data => {
-            diff = data;
-        }).catch(err => {
-            console.error(`Failed to detect differences between ${srcIndex} and ${dstPath}: ${err}`);
-        });
+/**
+ * Get the free space on the backup drive of an updater entry
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Free and total bytes ({ free, total }), or undefined if not available
+ */
+function backupSpace(entry) {
+    return freeSpace(fs.existsSync(entry.backupStore) ? entry.backupStore : path.dirname(entry.backupIndex));
+}
 
-        // Exctract source and update cached checksum
-        await extract(srcIndex, srcOptions, dstPath, dstOptions).then(data => {
-            if (data) {
-                checksum[dstPath] = data;
-                console.log(`Extracted source from ${srcIndex} to ${dstPath}`);
-            }
-            else {
-                console.log(`Failed to extract source from ${srcIndex} to ${dstPath}`);
-            }
+/**
+ * Get the backup status of an updater entry: the report of the last backup check (see checkBackup) and the current free space
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @returns - Backup status, or undefined if no backup is configured
+ */
+function backupStatus(entry) {
+    if (!entry.backupIndex) {
+        return;
+    }
+    return Object.assign({ index: entry.backupIndex, store: entry.backupStore }, loadReport(entry.backupIndex), { free: backupSpace(entry) });
+}
+
+/**
+ * Make a backup of the destination, and copy the verified source signature to the backup
+ * @param {Object} entry - Updater entry (see createEntry)
+ * @param {String} srcIndex - Resolved source index
+ * @param {String} sourceChecksum - Source checksum
+ * @param {Object} result - Cycle result
+ * @returns - Promise with the backup checksum if the operation was successful
+ */
+async function saveBackup(entry, srcIndex, sourceChecksum, result) {
+    let { backupIndex, backupOptions, dstPath, publicKeys } = entry;
+
+    // Get the signature of the destination contents from the source if not yet verified (e.g. on first run)
+    if (publicKeys && !signatures[dstPath] && srcIndex && sourceChecksum === checksum[dstPath]) {
+        await verify(srcIndex, publicKeys, sourceChecksum, entry.srcOptions).then(data => {
+            signatures[dstPath] = data;
         }).catch(err => {
-            console.error(`Failed to extract source from ${srcIndex} to ${dstPath}: ${err}`);
-            delete checksum[dstPath];
+            logError(result, `Unable to verify source signature for backup ${backupIndex}: ${err}`);
         });
+    }
+
+    // Make backup archive
+    return makeBackup(dstPath, backupIndex, backupOptions).then(data => {
+        console.log(`Saved backup from ${dstPath} to ${backupIndex}`);
+
+        // Copy the source signature to the backup. The backup index is identical to the source index when the checksums match.
+        if (signatures[dstPath] && JSON.parse(signatures[dstPath]).checksum === data) {
+            casync.writeFile(backupIndex + '.sig', signatures[dstPath]);
+        }
+        else if (publicKeys) {
+            logError(result, `No trusted signature available for backup ${backupIndex}`);
+        }
+
+        return data;
+    }).catch(err => {
+        console.log(`Unable to save backup from ${dstPath} to ${backupIndex}: ${err}`);
+        throw err;
+    });
+}
+
+/**
+ * Complete a cycle result, and store it in the cycle result cache
+ * @param {String} dstPath 
+ * @param {Object} result - Cycle result
+ * @returns - The cycle result
+ */
+function endCycle(dstPath, result) {
+    result.checksum = checksum[dstPath];
 
-        // Execute triggers
-        execTriggers(diff, triggers);
+    // Record the archives in the destination, so that bundles do not revert to previous archives (see bundleArchive)
+    if (bundleScan && result.checksum) {
+        markApplied(dstPath, result.checksum);
     }
-    // If the source is not available, try to extract from backup source
-    else if (!sourceChecksum && backupChecksum && checksum[dstPath] &&
-        checksum[dstPath] !== backupChecksum) {
-        await extractBackup(backupIndex, backupOptions, dstPath, dstOptions).then(data => {
-            if (data) {
-                checksum[dstPath] = data
-                console.log(`Extracted backup from ${backupIndex} to ${dstPath}`);
+    result.end = new Date().toISOString();
+    results[dstPath] = result;
+    return result;
+}
+
+/**
+ * Log an error message, and add it to the cycle result
+ * @param {Object} result - Cycle result
+ * @param {String} message 
+ */
+function logError(result, message) {
+    console.error(message);
+    result.errors.push(message);
+}
+
+/**
+ * Extract to a staging directory and swap the extracted tree in. Reverts to the previously active tree if the health check fails.
+ * @param {String} index - Source or backup index
+ * @param {Object} options - Source or backup options
+ * @param {String} dstPath
+ * @param {Object} dstOptions
+ * @param {String} expected - Expected checksum of the extracted tree
+ * @param {Object} staging - Staging configuration
+ * @param {Object} result - Cycle result
+ * @param {Array} diff - (optional) Changed files / directories (used for triggers)
+ * @param {Array} triggers - (optional)
+ */
+async function stagedUpdate(index, options, dstPath, dstOptions, expected, staging, result, diff, triggers) {
+    let previousChecksum = checksum[dstPath];
+    let staged;
+    await stagedExtract(index, options, dstPath, dstOptions, expected, staging).then(data => {
+        staged = data;
+        checksum[dstPath] = data.checksum;
+        result.status = 'updated';
+        console.log(`Extracted ${index} to staging directory and activated it as ${dstPath}`);
+    }).catch(err => {
+        // The active tree is not modified when the staged extract fails
+        result.status = 'failed';
+        logError(result, `Failed to extract ${index} to staging directory for ${dstPath}: ${err}`);
+    });
+
+    if (!staged) { return }
+
+    // Execute triggers
+    result.triggers = result.triggers.concat(await execTriggers(diff, triggers));
+
+    // Run the health check, and revert to the previous tree on failure
+    if (staging.healthCheck) {
+        let healthy = true;
+        await healthCheck(staging).catch(err => {
+            healthy = false;
+            result.status = 'failed';
+            logError(result, `Health check failed for ${dstPath}: ${err}`);
+        });
+
+        if (!healthy) {
+            unhealthy[dstPath] = expected;
+
+            if (staged.previous) {
+                try {
+                    rollback(dstPath, staged.previous);
+                    checksum[dstPath] = previousChecksum;
+                    result.status = 'reverted';
+                    console.log(`Reverted ${dstPath} to ${staged.previous}`);
+
+                    // Execute triggers for the reverted files / directories
+                    result.triggers = result.triggers.concat(await execTriggers(diff && reverse(diff), triggers));
+                }
+                catch (err) {
+                    logError(result, `Unable to revert ${dstPath} to ${staged.previous}: ${err.message}`);
+                }
             }
             else {
-                console.error(`Failed to extract backup from ${backupIndex} to ${dstPath}`);
-            };
-        }).catch(err => {
-            console.error(`Failed to extract backup from ${backupIndex} to ${dstPath}: ${err}`);
-            delete checksum[dstPath];
-        });
+                logError(result, `Unable to revert ${dstPath}: No previous tree available`);
+            }
+        }
     }
 
-    // check if backup checksum is outdated (or first run)
-    if (backupIndex && checksum[dstPath] && backupChecksum !== checksum[dstPath]) {
-        // Make backup archive
-        await makeBackup(dstPath, backupIndex, backupOptions).then(data => {
-            console.log(`Saved backup from ${dstPath} to ${backupIndex}`);
-        }).catch(err => {
-            console.log(`Unable to save backup from ${dstPath} to ${backupIndex}: ${err}`);
+    // Remove old trees
+    try {
+        prune(dstPath, staging).forEach(tree => {
+            console.log(`Removed old tree ${tree}`);
         });
     }
+    catch (err) {
+        logError(result, `Unable to remove old trees for ${dstPath}: ${err.message}`);
+    }
 }
 
 /**
@@ -301,6 +1968,8 @@ function extractBackup(backupIndex, backupOptions, dstPath, dstOptions) {
                 }).catch(err => {
                     reject(err);
                 });
+            }).catch(err => {
+                reject(err);
             });
         }
         else {
@@ -310,58 +1979,62 @@ function extractBackup(backupIndex, backupOptions, dstPath, dstOptions) {
 }
 
 /**
- * Execute triggers
- * @param {Object} diff 
+ * Execute the actions of the triggers matching the added, modified or removed files / directories. The matched paths are passed to
+ * the actions in environment variables and on stdin (one path per line).
+ * @param {Object} diff - Added, modified and removed entries (see casync.diff)
  * @param {Object} triggers 
+ * @returns - Promise with the list of executed actions with their exit code, output and error message (see actions.js)
  */
-function execTriggers(diff, triggers) {
+async function execTriggers(diff, triggers) {
+    let executed = [];
     if (diff && triggers) {
-        triggers.forEach(trigger => {
+        for (let trigger of triggers) {
             if (trigger.paths && trigger.actions && Array.isArray(trigger.paths) && Array.isArray(trigger.actions) && trigger.paths.length > 0 && trigger.actions.length > 0) {
-                // Find match
-                let match = false;
-                let i = 0;
-                while (i < trigger.paths.length && !match) {
-                    found = diff.includes(trigger.paths[i]);
-                    i++;
-                }
+                // Find matching paths
+                let matched = matchTrigger(trigger, diff);
+                if (!matched) { continue }
 
-                // Execute triggers
+                let { env, input } = actionInput(matched);
+
+                // Add actions to trigger actions cache to prevent re-running the trigger if also called from the startup actions
                 trigger.actions.forEach(action => {
-                    try {
-                        // Add action to trigger actions cache to prevent re-running the trigger if also called from the startup actions
-                        tActions[action] = true;
-                        console.log(`Executing trigger action: "${action}"`);
-                        let output = execSync(action, { shell: '/bin/bash' });
-                        console.log(output.toString());
-                    }
-                    catch (err) {
-                        console.error(`Unable to process trigger action "${action}": ${err.message}`);
-                    }
+                    tActions[actionSettings(action).command] = true;
                 });
+
+                // Execute triggers
+                executed = executed.concat(await runActions(trigger.actions, { order: trigger.order, env: env, input: input, label: 'trigger' }));
             }
-        });
+        }
     }
+    return executed;
 }
 
 /**
  * Execute list of startup commands
  * @param {Array} startup 
+ * @returns - Promise when complete
  */
-function execStartup(startup) {
+async function execStartup(startup) {
     if (startup && Array.isArray(startup)) {
-        startup.forEach(action => {
-            // Only run the startup action / command if the action has not already been triggered during the first cycle run.
-            if (!tActions[action]) {
-                try {
-                    console.log(`Executing startup action: "${action}"`);
-                    let output = execSync(action, { shell: '/bin/bash' });
-                    console.log(output.toString());
-                }
-                catch (err) {
-                    console.error(`Unable to process startup action "${action}": ${err.message}`);
-                }
-            }
-        });
+        // Only run the startup action / command if the action has not already been triggered during the first cycle run.
+        let actions = startup.filter(action => !tActions[actionSettings(action).command]);
+        await runActions(actions, { label: 'startup' });
     }
-}
\ No newline at end of file
+}
+
+module.exports.configFiles = configFiles;
+module.exports.loadConfig = loadConfig;
+module.exports.loadFile = loadFile;
+module.exports.parseConfig = parseConfig;
+module.exports.isValidEntry = isValidEntry;
+module.exports.createEntry = createEntry;
+module.exports.loadChecksum = loadChecksum;
+module.exports.resolveSource = resolveSource;
+module.exports.backupDigest = backupDigest;
+module.exports.runCycle = runCycle;
+module.exports.saveBackup = saveBackup;
+module.exports.makeBackup = makeBackup;
+module.exports.extractBackup = extractBackup;
+module.exports.checkBackup = checkBackup;
+module.exports.previewUpdate = previewUpdate;
+module.exports.backupStatus = backupStatus;
@@ -0,0 +1,58 @@
+/*
+File helpers
+*/
+
+const fs = require('fs');
+
+/**
+ * Writes a file atomically (to a temporary file which then replaces the file)
+ * @param {String} file
+ * @param {String} data
+ */
+function writeAtomic(file, data) {
+    fs.writeFileSync(file + '.part', data);
+    fs.renameSync(file + '.part', file);
+}
+
+/**
+ * Removes a file if it exists
+ * @param {String} file
+ */
+function removeFile(file) {
+    try {
+        fs.unlinkSync(file);
+    }
+    catch { }
+}
+
+/**
+ * Recursively removes a directory (or file) if it exists
+ * @param {String} p
+ */
+function removeDir(p) {
+    if (fs.rmSync) {
+        fs.rmSync(p, { recursive: true, force: true });
+    }
+    else if (fs.existsSync(p) || isSymlink(p)) {
+        fs.rmdirSync(p, { recursive: true });
+    }
+}
+
+/**
+ * Check if the passed path is a symbolic link
+ * @param {String} p
+ * @returns - true if the path is a symbolic link
+ */
+function isSymlink(p) {
+    try {
+        return fs.lstatSync(p).isSymbolicLink();
+    }
+    catch {
+        return false;
+    }
+}
+
+module.exports.writeAtomic = writeAtomic;
+module.exports.removeFile = removeFile;
+module.exports.removeDir = removeDir;
+module.exports.isSymlink = isSymlink;
@@ -0,0 +1,76 @@
+/*
+Glob patterns for source include / exclude rules (server) and trigger paths (client)
+*/
+
+/**
+ * Converts a glob pattern to a regular expression. Supports * (any characters except /), ** (any characters including /),
+ * ? (any character except /) and character classes ([abc], [a-z], [!abc]). Patterns containing a slash are matched against the full
+ * path, other patterns against the name at any depth (e.g. "*.log").
+ * @param {String} pattern
+ * @param {Object} options - (optional) Matching options ({ anchored: Boolean, contents: Boolean }). With anchored, all patterns are
+ * matched against the full path. With contents, a pattern matching a directory also matches the paths in the directory.
+ * @returns - Regular expression matching relative paths
+ */
+function globToRegExp(pattern, options) {
+    options = options || {};
+    let anchored = options.anchored || pattern.replace(/\/+$/, '').includes('/');
+    let p = pattern.replace(/^\/+|\/+$/g, '');
+    let re = '';
+    for (let i = 0; i < p.length; i++) {
+        let c = p[i];
+        if (c === '*' && p[i + 1] === '*') {
+            // "**/" also matches no directory
+            if (p[i + 2] === '/') {
+                re += '(?:.*/)?';
+                i += 2;
+            }
+            else {
+                re += '.*';
+                i++;
+            }
+        }
+        else if (c === '*') {
+            re += '[^/]*';
+        }
+        else if (c === '?') {
+            re += '[^/]';
+        }
+        else if (c === '[' && p.indexOf(']', i + 2) > 0) {
+            let end = p.indexOf(']', i + 2);
+            let cls = p.substring(i + 1, end).replace(/\\/g, '\\\\');
+            re += '[' + (cls.startsWith('!') ? '^' + cls.substring(1) : cls) + ']';
+            i = end;
+        }
+        else {
+            re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp((anchored ? '^' : '^(?:.*/)?') + re + (options.contents ? '(?:/.*)?$' : '$'));
+}
+
+/**
+ * Creates a path filter from include and exclude patterns. A path matches a pattern if the path or one of its parent directories
+ * matches, so that a pattern matching a directory applies to its contents.
+ * @param {Array} include - (optional) Glob patterns of the paths to include. All paths are included if not set.
+ * @param {Array} exclude - (optional) Glob patterns of the paths to exclude. Exclude patterns take precedence.
+ * @returns - Filter ({ included(path), excluded(path) }) for relative paths
+ */
+function createFilter(include, exclude) {
+    let includes = (include || []).map(pattern => globToRegExp(pattern));
+    let excludes = (exclude || []).map(pattern => globToRegExp(pattern));
+    let matches = (patterns, p) => {
+        let parts = p.split('/');
+        return parts.some((part, i) => {
+            let prefix = parts.slice(0, i + 1).join('/');
+            return patterns.some(re => re.test(prefix));
+        });
+    };
+
+    return {
+        included: p => !include || matches(includes, p),
+        excluded: p => matches(excludes, p),
+    };
+}
+
+module.exports.globToRegExp = globToRegExp;
+module.exports.createFilter = createFilter;
@@ -0,0 +1,518 @@
+/*
+HTTP(S) client for metadata files (.cks, .mtree, .sig, release manifests) and chunk downloads
+
+HTTP settings ({ timeout, retries, proxy, ca, auth }):
+- timeout - Connection and idle timeout in milliseconds
+- retries - Number of retries after network errors, timeouts and server errors (HTTP 5xx and 429)
+- proxy - HTTP proxy URL (defaults to the https_proxy / http_proxy environment variables, except for hosts listed in no_proxy)
+- ca - Path to a PEM encoded CA certificate bundle, trusted in addition to the default CA certificates
+- auth - Authorization: { bearer: token } or { username, password } (basic). Only sent to the host of the requested URL.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { PassThrough } = require('stream');
+const { removeDir } = require('./files.js');
+
+/**
+ * Default connection and idle timeout (ms)
+ */
+const defaultTimeout = 30000;
+
+/**
+ * Default number of retries
+ */
+const defaultRetries = 3;
+
+/**
+ * Delay before the first retry (ms). The delay is doubled after each retry.
+ */
+const retryDelay = 1000;
+
+/**
+ * Maximum number of redirects followed
+ */
+const maxRedirects = 5;
+
+/**
+ * Request headers. Responses are not decoded, so no compressed encodings are accepted.
+ */
+const defaultHeaders = {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9',
+    'Accept-Language': 'en-US,en;q=0.9,no;q=0.8,fr;q=0.7',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux armv7l) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/90.0.4430.212 Safari/537.36',
+};
+
+/**
+ * Loaded CA certificate bundles per path
+ */
+var caBundles = {};
+
+/**
+ * Private directory of the files passed to casync (see privateFile). Created when first used.
+ */
+var privateDir;
+
+/**
+ * Downloads a file, and returns the file contents
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Throttle} throttle - (optional) Throttle limiting the download rate (see bandwidth.js)
+ * @returns - Promise with the file contents (Buffer), or undefined if the file does not exist (HTTP 404 / 410)
+ */
+function fetch(url, settings, throttle) {
+    return withRetries(url, settings, res => {
+        let data = [];
+        return receive(res, throttle, chunk => { data.push(chunk) }).then(() => Buffer.concat(data));
+    }, true);
+}
+
+/**
+ * Downloads a file to disk
+ * @param {String} url
+ * @param {String} file - Destination file path
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Throttle} throttle - (optional) Throttle limiting the download rate (see bandwidth.js)
+ * @returns - Promise with true when complete, or undefined if the file does not exist (HTTP 404 / 410)
+ */
+function download(url, file, settings, throttle) {
+    return withRetries(url, settings, res => {
+        let out = fs.createWriteStream(file);
+        let closed = new Promise((resolve, reject) => {
+            out.on('finish', resolve);
+            out.on('error', err => reject(Error(`Unable to write ${file}: ${err.message}`)));
+        });
+
+        // Wait for the file stream to drain (or fail) when its buffer is full, so that large files are not buffered in memory
+        let write = chunk => {
+            if (!out.write(chunk)) {
+                return new Promise(resolve => {
+                    let done = () => {
+                        out.removeListener('drain', done);
+                        out.removeListener('error', done);
+                        resolve();
+                    };
+                    out.on('drain', done);
+                    out.on('error', done);
+                });
+            }
+        };
+        return receive(res, throttle, write).then(() => {
+            out.end();
+            return closed;
+        }).then(() => true).catch(err => {
+            out.destroy();
+            throw err;
+        });
+    }, true);
+}
+
+/**
+ * Opens a file as a stream, without loading it in memory. The response is paused while the stream is not read.
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Throttle} throttle - (optional) Throttle limiting the download rate (see bandwidth.js)
+ * @returns - Promise with a readable stream of the file contents, or undefined if the file does not exist (HTTP 404 / 410). Errors after
+ * the response is received (e.g. timeouts) are reported as stream errors, and are not retried.
+ */
+function stream(url, settings, throttle) {
+    return withRetries(url, settings, res => {
+        let output = new PassThrough();
+        let write = chunk => {
+            if (!output.write(chunk)) {
+                return new Promise(resolve => { output.once('drain', resolve) });
+            }
+        };
+        receive(res, throttle, write).then(() => {
+            output.end();
+        }).catch(err => {
+            output.destroy(Error(`Unable to download ${redact(url)}: ${err.message}`));
+        });
+        output.on('close', () => { res.destroy() });
+        return output;
+    }, true);
+}
+
+/**
+ * Get the modification time of a file
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @returns - Promise with the modification time (Date) from the Last-Modified header, or undefined if not available
+ */
+function lastModified(url, settings) {
+    return withRetries(url, settings, res => {
+        res.resume();
+        let date = new Date(res.headers['last-modified']);
+        return Promise.resolve(isNaN(date) ? undefined : date);
+    }, true, 'HEAD');
+}
+
+/**
+ * Checks if a URL is requested through a proxy (see proxyUrl)
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @returns - true if the URL is requested through a proxy
+ */
+function isProxied(url, settings) {
+    return proxyUrl(new URL(url), settings || {}) !== undefined;
+}
+
+/**
+ * Checks if the host of a URL is reachable through a proxy by requesting the URL headers (HEAD) once, without retries. Any response of
+ * the host is accepted, including errors. Gateway errors of the proxy (HTTP 502 / 503 / 504) mean that the host is not reachable.
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Number} timeout - Request timeout in milliseconds
+ * @returns - Promise with true if the host is reachable
+ */
+async function reachable(url, settings, timeout) {
+    try {
+        let res = await request(url, Object.assign({}, settings, { timeout: timeout }), 'HEAD');
+        res.resume();
+        return ![502, 503, 504].includes(res.statusCode);
+    }
+    catch {
+        return false;
+    }
+}
+
+/**
+ * Requests a URL, and processes the response. Network errors, timeouts and server errors are retried.
+ * @param {String} url
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Function} onResponse - Function called with a successful (HTTP 200) response, returning a promise when the response is processed
+ * @param {Boolean} optional - Resolve with undefined instead of rejecting if the file does not exist (HTTP 404 / 410)
+ * @param {String} method - (optional) Request method. Defaults to GET.
+ * @returns - Promise with the onResponse result
+ */
+async function withRetries(url, settings, onResponse, optional, method) {
+    settings = settings || {};
+    let retries = settings.retries !== undefined ? settings.retries : defaultRetries;
+
+    for (let attempt = 0; ; attempt++) {
+        let error;
+        let retry = true;
+        try {
+            let res = await request(url, settings, method || 'GET');
+            if (res.statusCode === 200) {
+                return await onResponse(res);
+            }
+
+            res.resume();
+            if (optional && [404, 410].includes(res.statusCode)) {
+                return;
+            }
+            error = `HTTP status ${res.statusCode}`;
+            retry = res.statusCode >= 500 || res.statusCode === 429;
+        }
+        catch (err) {
+            error = err.message;
+        }
+
+        if (!retry || attempt >= retries) {
+            throw Error(`Unable to download ${redact(url)}: ${error}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+    }
+}
+
+/**
+ * Requests a URL, following redirects
+ * @param {String} url
+ * @param {Object} settings - HTTP settings
+ * @param {String} method - Request method
+ * @param {String} origin - (optional) Origin of the original request (used to limit the authorization header to the requested host)
+ * @param {Number} redirects - (optional) Number of redirects followed
+ * @returns - Promise with the response
+ */
+async function request(url, settings, method, origin, redirects) {
+    let target = new URL(url);
+    origin = origin || target.origin;
+    let timeout = settings.timeout || defaultTimeout;
+
+    let headers = Object.assign({}, defaultHeaders);
+    if (target.origin === origin) {
+        Object.assign(headers, authHeaders(settings.auth));
+    }
+
+    let options = { method: method, headers: headers, ca: caBundle(settings.ca), timeout: timeout };
+    let client = target.protocol === 'https:' ? https : http;
+    let proxy = proxyUrl(target, settings);
+
+    if (proxy && target.protocol === 'https:') {
+        // Tunnel through the proxy
+        let socket = await connect(proxy, target, timeout);
+        options.createConnection = () => tls.connect({ socket: socket, servername: hostname(target), ca: options.ca });
+    }
+    else if (proxy) {
+        // Plain HTTP requests are sent to the proxy with the full URL
+        client = http;
+        Object.assign(options, { host: hostname(proxy), port: proxy.port || 80, path: target.href });
+        Object.assign(headers, { Host: target.host }, proxyHeaders(proxy));
+    }
+
+    let res = await new Promise((resolve, reject) => {
+        let req = options.host ? client.request(options, resolve) : client.request(target, options, resolve);
+        req.end();
+        req.on('error', reject);
+
+        // Timeouts after the response is received are handled while receiving the body (see receive)
+        req.on('timeout', () => {
+            if (!req.res) {
+                req.destroy(Error(`Timed out after ${timeout} ms`));
+            }
+        });
+    });
+
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if ((redirects || 0) >= maxRedirects) {
+            throw Error('Too many redirects');
+        }
+        return request(new URL(res.headers.location, target).href, settings, method, origin, (redirects || 0) + 1);
+    }
+    return res;
+}
+
+/**
+ * Receives a response body, limiting the transfer rate. The response is paused (not piped, as piping would resume it) when the
+ * transfer rate exceeds the limit, and the promise resolves after the last delay, as the end of the response may already have been received.
+ * @param {IncomingMessage} res
+ * @param {Throttle} throttle - (optional)
+ * @param {Function} onData - Function called with each received chunk. The response is paused until the returned promise (if any) resolves.
+ * @returns - Promise when the response is received
+ */
+function receive(res, throttle, onData) {
+    return new Promise((resolve, reject) => {
+        let delay = 0;
+        let paused = false;
+        res.on('data', chunk => {
+            let written = onData(chunk);
+            delay = throttle ? throttle.consume(chunk.length) : 0;
+            if (delay > 0 || written) {
+                paused = true;
+                res.pause();
+                Promise.all([new Promise(resolve => setTimeout(resolve, delay)), written]).then(() => {
+                    paused = false;
+                    res.resume();
+                });
+            }
+        });
+
+        // Do not time out while paused by the throttle
+        let socket = res.socket;
+        let onTimeout = () => {
+            if (!paused) {
+                res.destroy(Error('Timed out'));
+            }
+        };
+        socket.on('timeout', onTimeout);
+
+        // Remove the timeout handler, as the socket may be reused (keep-alive)
+        let done = err => {
+            socket.removeListener('timeout', onTimeout);
+            if (err) {
+                reject(err);
+            }
+            else {
+                setTimeout(resolve, delay);
+            }
+        };
+        res.on('end', () => { done() });
+        res.on('error', done);
+        res.on('aborted', () => { done(Error('Connection closed')) });
+    });
+}
+
+/**
+ * Opens a tunnel through an HTTP proxy (CONNECT)
+ * @param {URL} proxy
+ * @param {URL} target
+ * @param {Number} timeout
+ * @returns - Promise with the tunnel socket
+ */
+function connect(proxy, target, timeout) {
+    return new Promise((resolve, reject) => {
+        let req = http.request({
+            host: hostname(proxy),
+            port: proxy.port || 80,
+            method: 'CONNECT',
+            path: `${target.hostname}:${target.port || 443}`,
+            headers: proxyHeaders(proxy),
+            timeout: timeout,
+        });
+        req.on('connect', (res, socket) => {
+            if (res.statusCode === 200) {
+                resolve(socket);
+            }
+            else {
+                socket.destroy();
+                reject(Error(`Proxy ${proxy.host} refused the connection: HTTP status ${res.statusCode}`));
+            }
+        });
+        req.on('error', err => reject(Error(`Proxy ${proxy.host}: ${err.message}`)));
+        req.on('timeout', () => { req.destroy(Error(`Proxy ${proxy.host} timed out after ${timeout} ms`)) });
+        req.end();
+    });
+}
+
+/**
+ * Get the proxy for a URL from the HTTP settings or the environment (https_proxy, http_proxy and no_proxy)
+ * @param {URL} target
+ * @param {Object} settings - HTTP settings
+ * @returns - Proxy URL, or undefined if no proxy is used
+ */
+function proxyUrl(target, settings) {
+    let env = name => process.env[name] || process.env[name.toUpperCase()];
+    let proxy = settings.proxy || env(target.protocol === 'https:' ? 'https_proxy' : 'http_proxy');
+    if (!proxy) {
+        return;
+    }
+
+    // no_proxy: comma separated list of host names (matching sub domains) or *
+    let host = hostname(target);
+    let excluded = (env('no_proxy') || '').split(',').map(h => h.trim().replace(/^\*?\./, '')).filter(h => h).some(h => {
+        return h === '*' || host === h || host.endsWith('.' + h);
+    });
+    return excluded ? undefined : new URL(proxy);
+}
+
+/**
+ * Get the authorization headers
+ * @param {Object} auth - (optional) { bearer } or { username, password }
+ * @returns - Headers
+ */
+function authHeaders(auth) {
+    if (auth && auth.bearer) {
+        return { Authorization: `Bearer ${auth.bearer}` };
+    }
+    if (auth && auth.username) {
+        return { Authorization: 'Basic ' + Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64') };
+    }
+    return {};
+}
+
+/**
+ * Get the proxy authorization headers from the credentials in the proxy URL
+ * @param {URL} proxy
+ * @returns - Headers
+ */
+function proxyHeaders(proxy) {
+    if (!proxy.username) {
+        return {};
+    }
+    let credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': 'Basic ' + Buffer.from(credentials).toString('base64') };
+}
+
+/**
+ * Get the trusted CA certificates: the default CA certificates and the certificates in the CA bundle
+ * @param {String} ca - (optional) Path to a PEM encoded CA certificate bundle
+ * @returns - List of certificates, or undefined to use the default CA certificates
+ */
+function caBundle(ca) {
+    if (!ca) {
+        return;
+    }
+    if (!caBundles[ca]) {
+        caBundles[ca] = tls.rootCertificates.concat([fs.readFileSync(ca).toString()]);
+    }
+    return caBundles[ca];
+}
+
+/**
+ * Get the host name of a URL without the brackets of IPv6 addresses
+ * @param {URL} url
+ * @returns - Host name
+ */
+function hostname(url) {
+    return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Get the environment variables passing the HTTP settings to casync, so that no credentials are passed on the command line: the proxy,
+ * the CA bundle (SSL_CERT_FILE / CURL_CA_BUNDLE, including the default CA certificates) and the basic authorization credentials (in a
+ * netrc file in the HOME directory passed to casync). casync does not support bearer tokens, so URLs requiring a bearer token can only
+ * be downloaded by the chunk cache (see cache.js).
+ * @param {Object} settings - (optional) HTTP settings
+ * @param {Array} locations - URLs and paths passed to casync
+ * @returns - Environment variables
+ */
+function casyncEnv(settings, locations) {
+    let env = {};
+    if (!settings) {
+        return env;
+    }
+    let urls = locations.filter(location => /^(https?|ftp):\/\//i.test(location)).map(location => new URL(location));
+
+    if (settings.proxy) {
+        Object.assign(env, { http_proxy: settings.proxy, https_proxy: settings.proxy, ftp_proxy: settings.proxy });
+    }
+
+    if (settings.ca) {
+        let file = privateFile('ca.pem', caBundle(settings.ca).join('\n'));
+        Object.assign(env, { SSL_CERT_FILE: file, CURL_CA_BUNDLE: file });
+    }
+
+    let auth = settings.auth;
+    if (auth && auth.bearer && urls.length) {
+        throw Error(`casync does not support bearer tokens: use the chunk cache to download ${redact(urls[0].href)}`);
+    }
+    if (auth && auth.username && urls.length) {
+        let hosts = [...new Set(urls.map(hostname))];
+        let netrc = hosts.map(host => `machine ${host} login ${auth.username} password ${auth.password || ''}\n`).join('');
+        env.HOME = path.dirname(privateFile('.netrc', netrc));
+    }
+    return env;
+}
+
+/**
+ * Writes a file readable by the current user only to the private directory of the process (removed on exit). Files with the same name and
+ * contents are written once.
+ * @param {String} name - File name
+ * @param {String} data - File contents
+ * @returns - File path
+ */
+function privateFile(name, data) {
+    if (!privateDir) {
+        privateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'casync-updater-'));
+        process.on('exit', () => {
+            try {
+                removeDir(privateDir);
+            }
+            catch { }
+        });
+    }
+
+    let dir = path.join(privateDir, crypto.createHash('sha256').update(data).digest('hex').substring(0, 16));
+    let file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        fs.writeFileSync(file + '.part', data, { mode: 0o600 });
+        fs.renameSync(file + '.part', file);
+    }
+    return file;
+}
+
+/**
+ * Remove credentials from URLs in a message (e.g. casync error messages)
+ * @param {String} message
+ * @returns - Message without credentials
+ */
+function redact(message) {
+    return String(message).replace(/(\/\/)[^/@\s]+@/g, '$1***@');
+}
+
+module.exports.fetch = fetch;
+module.exports.download = download;
+module.exports.stream = stream;
+module.exports.lastModified = lastModified;
+module.exports.isProxied = isProxied;
+module.exports.reachable = reachable;
+module.exports.casyncEnv = casyncEnv;
+module.exports.redact = redact;
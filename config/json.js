@@ -36,7 +36,7 @@ const fs = require('fs');
  */
 function saveJSON(path, data) {
     return new Promise((resolve, reject) => {
-        fs.writeFile(path, JSON.stringify(data), (err) => {
+        fs.writeFile(path, JSON.stringify(data, null, 4), (err) => {
             if (err) {
                 reject(err);
             }
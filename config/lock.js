@@ -0,0 +1,181 @@
+/*
+Destination locks, preventing concurrent updates of a destination within a process and between processes (e.g. the client service and the command line tool)
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { removeFile } = require('./files.js');
+
+/**
+ * Lock files held by this process
+ */
+var held = {};
+
+// Remove held lock files when the process exits
+process.on('exit', () => {
+    Object.keys(held).forEach(file => {
+        try {
+            fs.unlinkSync(file);
+        }
+        catch { }
+    });
+});
+
+/**
+ * Acquires the lock for a destination path
+ * @param {String} dstPath
+ * @returns - Release function if the lock is acquired, or undefined if the destination is locked
+ */
+function lock(dstPath) {
+    let file = lockFile(dstPath);
+
+    // Locked by this process
+    if (held[file]) {
+        return;
+    }
+
+    // Remove the lock file if left behind by a process which is no longer running, and try again
+    if (!createLockFile(file) && !(breakStaleLock(file) && createLockFile(file))) {
+        return;
+    }
+
+    held[file] = true;
+    return () => {
+        delete held[file];
+        try {
+            fs.unlinkSync(file);
+        }
+        catch { }
+    };
+}
+
+/**
+ * Gets the process ID of the process holding the lock for a destination path
+ * @param {String} dstPath
+ * @returns - Process ID, or undefined if not locked
+ */
+function lockedBy(dstPath) {
+    let file = lockFile(dstPath);
+    if (held[file]) {
+        return process.pid;
+    }
+
+    let pid = lockOwner(file);
+    if (isRunning(pid)) {
+        return pid;
+    }
+}
+
+/**
+ * Gets the lock file path for a destination path
+ * @param {String} dstPath
+ * @returns - Lock file path
+ */
+function lockFile(dstPath) {
+    let dir = fs.existsSync('/run/lock') ? '/run/lock' : os.tmpdir();
+    let hash = crypto.createHash('sha256').update(path.resolve(dstPath)).digest('hex').substring(0, 16);
+    return path.join(dir, `casync-updater-${hash}.lock`);
+}
+
+/**
+ * Creates a lock file containing the process ID of this process. The process ID is written to a temporary file which is then linked to
+ * the lock file, so that other processes never read a lock file without process ID.
+ * @param {String} file
+ * @returns - true if the lock file is created, false if the lock file already exists
+ */
+function createLockFile(file) {
+    let tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, String(process.pid));
+    try {
+        fs.linkSync(tmp, file);
+        return true;
+    }
+    catch (err) {
+        if (err.code === 'EEXIST') {
+            return false;
+        }
+        throw err;
+    }
+    finally {
+        removeFile(tmp);
+    }
+}
+
+/**
+ * Removes a lock file left behind by a process which is no longer running. Processes breaking the same lock are serialized with a guard
+ * lock file, and the lock file is only removed if it still contains the process ID of the stopped process, so that a lock acquired by
+ * another process in the meantime is never removed. A guard file is itself only removed if left behind by a stopped process.
+ * @param {String} file - Lock file
+ * @returns - true if the stale lock file was removed
+ */
+function breakStaleLock(file) {
+    let pid = lockOwner(file);
+    if (!pid || isRunning(pid)) {
+        return false;
+    }
+
+    let guard = file + '.break';
+    if (!createLockFile(guard)) {
+        let owner = lockOwner(guard);
+        if (!owner || isRunning(owner)) {
+            return false;
+        }
+        removeFile(guard);
+        if (!createLockFile(guard)) {
+            return false;
+        }
+    }
+
+    try {
+        if (lockOwner(file) !== pid) {
+            return false;
+        }
+        fs.unlinkSync(file);
+        return true;
+    }
+    catch {
+        return false;
+    }
+    finally {
+        removeFile(guard);
+    }
+}
+
+/**
+ * Reads the process ID from a lock file
+ * @param {String} file
+ * @returns - Process ID, or undefined if the lock file does not exist or is invalid
+ */
+function lockOwner(file) {
+    try {
+        return parseInt(fs.readFileSync(file).toString()) || undefined;
+    }
+    catch {
+        return;
+    }
+}
+
+/**
+ * Checks if a process is running
+ * @param {Number} pid
+ * @returns - true if the process is running
+ */
+function isRunning(pid) {
+    if (!pid) {
+        return false;
+    }
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (err) {
+        // EPERM: the process exists, but is owned by another user
+        return err.code === 'EPERM';
+    }
+}
+
+module.exports.lock = lock;
+module.exports.lockedBy = lockedBy;
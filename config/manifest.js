@@ -0,0 +1,229 @@
+/*
+Release manifest handling. Release manifests are signed with the private key of the server configuration entry (.manifest.json.sig, see
+signature.js).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { casync } = require('./casync.js');
+const { loadJSON } = require('./json.js');
+const { inRollout } = require('./rollout.js');
+const { signFile, verifyFile } = require('./signature.js');
+const { publishOrder, copyIndex } = require('./publish.js');
+const { writeAtomic, removeFile } = require('./files.js');
+
+/**
+ * Gets the path (or URL) of the release manifest of an index
+ * @param {String} index - Index file path or URL
+ * @returns - Manifest file path or URL
+ */
+function manifestPath(index) {
+    return index + '.manifest.json';
+}
+
+/**
+ * Loads the release manifest of an index
+ * @param {String} index - Index file path or URL
+ * @param {Object} options - (optional) casync options used to download the manifest (see casync.readFile)
+ * @param {Array} publicKeys - (optional) List of paths to trusted public keys. When set, the manifest is only used if signed by one of the keys.
+ * @returns - Promise with the manifest
+ */
+function loadManifest(index, options, publicKeys) {
+    return new Promise((resolve, reject) => {
+        casync.readFile(manifestPath(index), true, options).then(async data => {
+            if (!data) {
+                reject(`Manifest ${manifestPath(index)} not found`);
+                return;
+            }
+            if (publicKeys) {
+                await verifyFile(manifestPath(index), data, publicKeys, options);
+            }
+            resolve(JSON.parse(data.toString()));
+        }).catch(err => {
+            reject(err.message || err);
+        });
+    });
+}
+
+/**
+ * Writes the release manifest of an index, and signs it if a private key is passed. The signature file of a previous manifest is removed
+ * if the manifest is not signed.
+ * @param {String} index - Index file path
+ * @param {Object} manifest
+ * @param {String} privateKey - (optional) Path to the PEM formatted Ed25519 private key
+ * @returns - Promise when the manifest is written
+ */
+async function saveManifest(index, manifest, privateKey) {
+    writeAtomic(manifestPath(index), JSON.stringify(manifest, null, 4));
+    if (privateKey) {
+        await signFile(manifestPath(index), privateKey);
+    }
+    else {
+        removeFile(manifestPath(index) + '.sig');
+    }
+}
+
+/**
+ * Finds a release in a manifest. A pinned version is always returned. For a channel, the newest release in the channel
+ * which includes the device in its rollout cohort is returned.
+ * @param {Object} manifest
+ * @param {String} version - (optional) Release version
+ * @param {String} channel - (optional) Release channel (used if no version is passed)
+ * @param {Object} device - (optional) Device details ({ id: String, groups: [...] }). Rollout policies are ignored if not set.
+ * @returns - Release entry, or undefined if not found
+ */
+function findRelease(manifest, version, channel, device) {
+    if (!manifest || !Array.isArray(manifest.releases)) {
+        return;
+    }
+
+    if (version) {
+        return manifest.releases.find(release => release.version === version);
+    }
+
+    let channelVersion = manifest.channels && manifest.channels[channel];
+    return manifest.releases.filter(release => release.channel === channel || release.version === channelVersion).reverse().find(release => {
+        return !device || inRollout(release.rollout, release.version, device);
+    });
+}
+
+/**
+ * Gets the versioned index file path of a release
+ * @param {String} index - Index file path
+ * @param {String} version - Release version
+ * @returns - Versioned index file path
+ */
+function versionedIndex(index, version) {
+    let p = path.parse(index);
+    return path.join(p.dir, `${p.name}-${version}${p.ext}`);
+}
+
+/**
+ * Resolves the index file path (or URL) of a release
+ * @param {String} index - Index file path or URL the manifest belongs to
+ * @param {Object} release - Release entry
+ * @returns - Release index file path or URL
+ */
+function releaseIndex(index, release) {
+    if (index.startsWith('http') || index.startsWith('ftp')) {
+        return new URL(release.index, index).toString();
+    }
+    else {
+        return path.join(path.dirname(index), release.index);
+    }
+}
+
+/**
+ * Resolves a release and its index from the release manifest
+ * @param {String} index - Index file path or URL the manifest belongs to
+ * @param {String} version - (optional) Release version
+ * @param {String} channel - (optional) Release channel (used if no version is passed)
+ * @param {Object} device - (optional) Device details used to select the rollout cohort
+ * @param {Object} options - (optional) casync options used to download the manifest (see casync.readFile)
+ * @param {Array} publicKeys - (optional) List of paths to trusted public keys the manifest must be signed with
+ * @returns - Promise with the release entry and index file path or URL ({ release, index }), or undefined if the release is not found.
+ * Rejects if the manifest is not available or not signed by a trusted key.
+ */
+function resolveRelease(index, version, channel, device, options, publicKeys) {
+    return loadManifest(index, options, publicKeys).then(manifest => {
+        let release = findRelease(manifest, version, channel, device);
+        if (release) {
+            return { release: release, index: releaseIndex(index, release) };
+        }
+    });
+}
+
+/**
+ * Publishes a versioned copy of an index (including checksum, mtree and signature files), and adds the release to the manifest.
+ * @param {String} index - Index file path
+ * @param {String} source - Path of the created index file. Copied to the versioned index if not created as the versioned index.
+ * @param {Object} release - Release details (version, checksum, notes, rollout)
+ * @param {String} channel - Release channel pointing to the release
+ * @param {String} privateKey - (optional) Path to the private key the manifest is signed with
+ * @returns - Promise with the updated manifest
+ */
+function publishRelease(index, source, release, channel, privateKey) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            let target = versionedIndex(index, release.version);
+
+            // Copy the index files to the versioned index
+            if (path.resolve(source) !== path.resolve(target)) {
+                copyIndex(source, target);
+            }
+
+            // Update the manifest
+            let manifest = { channels: {}, releases: [] };
+            if (fs.existsSync(manifestPath(index))) {
+                manifest = await loadJSON(manifestPath(index));
+            }
+
+            manifest.releases = manifest.releases.filter(r => r.version !== release.version);
+            let entry = {
+                version: release.version,
+                channel: channel,
+                index: path.basename(target),
+                checksum: release.checksum,
+                timestamp: new Date().toISOString(),
+                notes: release.notes || '',
+            };
+            if (release.rollout) {
+                entry.rollout = release.rollout;
+            }
+            manifest.releases.push(entry);
+            manifest.channels[channel] = release.version;
+
+            await saveManifest(index, manifest, privateKey);
+            resolve(manifest);
+        }
+        catch (err) {
+            reject(err.message || err);
+        }
+    });
+}
+
+/**
+ * Removes the oldest releases from the manifest, keeping the newest releases and the releases the channels point to. The versioned
+ * index files of the removed releases are deleted.
+ * @param {String} index - Index file path
+ * @param {Number} keep - Number of releases to keep
+ * @param {Boolean} dryRun - Get the releases to remove without removing them
+ * @param {String} privateKey - (optional) Path to the private key the manifest is signed with
+ * @returns - Promise with the removed release entries
+ */
+function pruneReleases(index, keep, dryRun, privateKey) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            if (!fs.existsSync(manifestPath(index))) {
+                resolve([]);
+                return;
+            }
+
+            let manifest = await loadJSON(manifestPath(index));
+            let current = Object.values(manifest.channels || {});
+            let removed = manifest.releases.slice().sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp)).slice(keep)
+                .filter(r => !current.includes(r.version) && r.index !== path.basename(index));
+
+            if (!dryRun && removed.length) {
+                // Update the manifest before removing the files, so that clients do not resolve removed releases
+                manifest.releases = manifest.releases.filter(r => !removed.includes(r));
+                await saveManifest(index, manifest, privateKey);
+                removed.forEach(r => {
+                    publishOrder.forEach(ext => removeFile(path.join(path.dirname(index), r.index + ext)));
+                });
+            }
+            resolve(removed);
+        }
+        catch (err) {
+            reject(err.message || err);
+        }
+    });
+}
+
+module.exports.loadManifest = loadManifest;
+module.exports.findRelease = findRelease;
+module.exports.versionedIndex = versionedIndex;
+module.exports.releaseIndex = releaseIndex;
+module.exports.resolveRelease = resolveRelease;
+module.exports.publishRelease = publishRelease;
+module.exports.pruneReleases = pruneReleases;
@@ -0,0 +1,145 @@
+/*
+mtree parser and differ (casync mtree output)
+*/
+
+const readline = require('readline');
+const { Readable } = require('stream');
+
+/**
+ * Parses an mtree line
+ * @param {String} line - mtree line, e.g. "path/to/file type=file mode=0644 size=12 sha256digest=..."
+ * @returns - Entry ({ path, type, size, mode, digest, attributes }), or undefined for empty lines, comments and special commands
+ */
+function parseLine(line) {
+    line = line.trim();
+    if (!line || line.startsWith('#') || line.startsWith('/')) {
+        return;
+    }
+
+    // Fields are separated by whitespace. Whitespace in names is escaped (e.g. \040).
+    let fields = line.split(/\s+/);
+    let attributes = {};
+    fields.slice(1).forEach(field => {
+        let i = field.indexOf('=');
+        if (i > 0) {
+            attributes[field.substring(0, i)] = unescape(field.substring(i + 1));
+        }
+    });
+
+    return {
+        path: unescape(fields[0]),
+        type: attributes.type,
+        size: attributes.size !== undefined ? parseInt(attributes.size) : undefined,
+        mode: attributes.mode,
+        digest: attributes.sha256digest,
+        attributes: attributes,
+    };
+}
+
+/**
+ * Unescapes an mtree name or value (octal escape sequences, e.g. \040 for a space, and escaped backslashes)
+ * @param {String} value
+ * @returns - Unescaped value
+ */
+function unescape(value) {
+    return value.replace(/\\([0-7]{3}|\\)/g, (match, code) => {
+        return code === '\\' ? '\\' : String.fromCharCode(parseInt(code, 8));
+    });
+}
+
+/**
+ * Reads the entries of an mtree output line by line, without loading the full output in memory when a stream is passed
+ * @param {String|Readable} mtree - mtree output, or readable stream with the mtree output
+ * @param {Function} onEntry - Function called with each entry (see parseLine)
+ * @returns - Promise when all entries are read
+ */
+function readEntries(mtree, onEntry) {
+    return new Promise((resolve, reject) => {
+        let input = typeof mtree === 'string' ? Readable.from([mtree]) : mtree;
+        let lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+        lines.on('line', line => {
+            let entry = parseLine(line);
+            if (entry) {
+                onEntry(entry);
+            }
+        });
+        lines.on('close', resolve);
+        lines.on('error', reject);
+        input.on('error', reject);
+    });
+}
+
+/**
+ * Compares two mtree outputs. The outputs are read one after the other.
+ * @param {String|Readable|Function} mtree1 - mtree output (or stream) of the original state, or a function returning a promise with the output (or stream)
+ * @param {String|Readable|Function} mtree2 - mtree output (or stream) of the new state, or a function returning a promise with the output (or stream)
+ * @returns - Promise with the added, modified and removed entries ({ added: [], modified: [], removed: [] }). Modified entries
+ * contain the new attributes, and the original entry in "previous".
+ */
+async function diff(mtree1, mtree2) {
+    let result = { added: [], modified: [], removed: [] };
+
+    let entries = new Map();
+    await readEntries(await input(mtree1), entry => {
+        entries.set(entry.path, entry);
+    });
+
+    await readEntries(await input(mtree2), entry => {
+        let previous = entries.get(entry.path);
+        if (!previous) {
+            result.added.push(entry);
+        }
+        else {
+            entries.delete(entry.path);
+            if (!sameAttributes(previous.attributes, entry.attributes)) {
+                result.modified.push(Object.assign(entry, { previous: previous }));
+            }
+        }
+    });
+
+    // Entries not found in the new state
+    entries.forEach(entry => {
+        result.removed.push(entry);
+    });
+
+    return result;
+}
+
+/**
+ * Get the mtree output (or stream) from a diff input
+ * @param {String|Readable|Function} mtree - mtree output (or stream), or a function returning a promise with the output (or stream)
+ * @returns - Promise with the mtree output (or stream)
+ */
+async function input(mtree) {
+    return typeof mtree === 'function' ? mtree() : mtree;
+}
+
+/**
+ * Reverses an mtree diff result (e.g. when reverting an update): added entries become removed entries and vice versa
+ * @param {Object} changes - mtree diff result (see diff)
+ * @returns - Reversed diff result
+ */
+function reverse(changes) {
+    return {
+        added: changes.removed,
+        modified: changes.modified.map(entry => Object.assign({}, entry.previous, { previous: entry })),
+        removed: changes.added,
+    };
+}
+
+/**
+ * Compares two attribute objects
+ * @param {Object} a
+ * @param {Object} b
+ * @returns - true if both objects contain the same attributes and values
+ */
+function sameAttributes(a, b) {
+    let keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+module.exports.parseLine = parseLine;
+module.exports.readEntries = readEntries;
+module.exports.diff = diff;
+module.exports.reverse = reverse;
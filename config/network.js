@@ -0,0 +1,71 @@
+/*
+Network reachability checks
+*/
+
+const net = require('net');
+const { isProxied, reachable } = require('./http.js');
+
+/**
+ * Default ports per URL protocol
+ */
+const defaultPorts = {
+    'http:': 80,
+    'https:': 443,
+    'ftp:': 21,
+};
+
+/**
+ * Checks if a location is a URL (not a local path)
+ * @param {String} location - URL or local path
+ * @returns - true if the location is a URL
+ */
+function isRemote(location) {
+    return /^[a-z]+:\/\//i.test(location || '');
+}
+
+/**
+ * Checks if the host of a URL is reachable by opening (and immediately closing) a TCP connection. HTTP(S) URLs requested through a
+ * proxy (the http.proxy setting or the https_proxy / http_proxy environment variables) are probed with a request through the proxy, as
+ * the host may not be reachable directly.
+ * @param {String} location - URL (local paths are always reachable)
+ * @param {Number} timeout - Connection timeout in milliseconds
+ * @param {Object} settings - (optional) HTTP settings of the location (see http.js)
+ * @returns - Promise with true if the host is reachable
+ */
+function probe(location, timeout, settings) {
+    return new Promise(resolve => {
+        if (!isRemote(location)) {
+            resolve(true);
+            return;
+        }
+
+        let url;
+        try {
+            url = new URL(location);
+        }
+        catch {
+            resolve(false);
+            return;
+        }
+
+        if (/^https?:$/.test(url.protocol) && isProxied(location, settings)) {
+            reachable(location, settings, timeout || 5000).then(resolve);
+            return;
+        }
+
+        // Strip the brackets of IPv6 addresses
+        let host = url.hostname.replace(/^\[|\]$/g, '');
+        let socket = net.connect({ host: host, port: url.port || defaultPorts[url.protocol] || 80 });
+        let done = reachable => {
+            socket.destroy();
+            resolve(reachable);
+        };
+        socket.setTimeout(timeout || 5000);
+        socket.on('connect', () => { done(true) });
+        socket.on('timeout', () => { done(false) });
+        socket.on('error', () => { done(false) });
+    });
+}
+
+module.exports.isRemote = isRemote;
+module.exports.probe = probe;
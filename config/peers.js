@@ -0,0 +1,430 @@
+/*
+LAN peer distribution (client): serves the local chunk stores and index files to other clients, and discovers peers with mDNS.
+
+Peer server endpoints:
+- GET /index/<checksum>.caidx - Index file (cached or backup archive) with the given archive checksum
+- GET /store/<first 4 hex characters of the chunk ID>/<chunk ID>.cacnk - Chunk from one of the shared stores
+*/
+
+const http = require('http');
+const dgram = require('dgram');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkPath } = require('./cache.js');
+
+/**
+ * Default peer server port
+ */
+const defaultPort = 8097;
+
+/**
+ * mDNS multicast address and port
+ */
+const mdnsAddress = '224.0.0.251';
+const mdnsPort = 5353;
+
+/**
+ * mDNS service type of the peer server
+ */
+const serviceType = '_casync-updater._tcp.local';
+
+/**
+ * Time a discovered peer is used without a new announcement (s)
+ */
+const peerTtl = 120;
+
+/**
+ * Interval between peer queries (ms)
+ */
+const queryInterval = 60000;
+
+/**
+ * DNS record types and classes
+ */
+const typePTR = 12;
+const typeSRV = 33;
+const typeANY = 255;
+const classIN = 1;
+const cacheFlush = 0x8000;
+
+/**
+ * Peer settings (see start)
+ */
+var settings = {};
+
+/**
+ * Discovered peers (URL: expiry time in ms)
+ */
+var discovered = {};
+
+/**
+ * Peer server, mDNS socket and query timer
+ */
+var server;
+var socket;
+var queryTimer;
+
+/**
+ * Starts the peer server (if serving) and peer discovery (if enabled)
+ * @param {Object} peerSettings - Peer settings ({ serve, host, port, mdns, list })
+ * @param {Function} shares - Function returning the shared archives: list of cache directories ({ indexDir, store }) and
+ * backups ({ index, checksum, store })
+ */
+function start(peerSettings, shares) {
+    settings = Object.assign({ serve: true, mdns: true, port: defaultPort, list: [] }, peerSettings);
+
+    if (settings.serve) {
+        server = startServer(settings, shares);
+    }
+    if (settings.mdns) {
+        socket = startDiscovery(settings);
+    }
+}
+
+/**
+ * Stops the peer server and discovery
+ */
+function stop() {
+    if (server) {
+        server.close();
+        server = undefined;
+    }
+    if (socket) {
+        clearInterval(queryTimer);
+        let s = socket;
+        let close = () => { s.close() };
+        if (settings.serve) {
+            // Goodbye announcement: peers remove this client immediately
+            send(answer(0), close);
+        }
+        else {
+            close();
+        }
+        socket = undefined;
+    }
+}
+
+/**
+ * Get the URLs of the configured and discovered peers
+ * @returns - List of peer URLs (configured peers first)
+ */
+function peerUrls() {
+    let now = Date.now();
+    Object.keys(discovered).filter(url => discovered[url] < now).forEach(url => { delete discovered[url] });
+    return [...new Set((settings.list || []).map(url => url.replace(/\/+$/, '')).concat(Object.keys(discovered)))];
+}
+
+/**
+ * Starts the peer HTTP server
+ * @param {Object} settings - Peer settings
+ * @param {Function} shares - Function returning the shared archives (see start)
+ * @returns - HTTP server
+ */
+function startServer(settings, shares) {
+    let server = http.createServer((req, res) => {
+        let url = new URL(req.url, 'http://localhost');
+        let file;
+        try {
+            let match;
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405);
+                res.end();
+                return;
+            }
+            else if ((match = /^\/index\/([0-9a-f]{64})(\.caidx|\.caibx)$/.exec(url.pathname))) {
+                file = findIndex(shares(), match[1], match[2]);
+            }
+            else if ((match = /^\/store\/([0-9a-f]{4})\/(\1[0-9a-f]{60})\.cacnk$/.exec(url.pathname))) {
+                file = shares().map(share => chunkPath(share.store, match[2])).find(chunk => fs.existsSync(chunk));
+            }
+        }
+        catch (err) {
+            console.error(`Peer server error: ${err.message}`);
+        }
+
+        if (!file) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        // Files are replaced (not modified) by the cache and backup, so a file opened here is complete
+        let stream = fs.createReadStream(file);
+        stream.on('open', () => {
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': fs.statSync(file).size });
+            if (req.method === 'HEAD') {
+                stream.destroy();
+                res.end();
+            }
+            else {
+                stream.pipe(res);
+            }
+        });
+        stream.on('error', () => {
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    server.on('error', err => {
+        console.error(`Peer server error: ${err.message}`);
+    });
+
+    let host = settings.host || '0.0.0.0';
+    server.listen(settings.port, host, () => {
+        console.log(`Serving chunk stores to peers on ${host}:${settings.port}`);
+    });
+    return server;
+}
+
+/**
+ * Find a shared index file by archive checksum
+ * @param {Array} shares - Shared archives (see start)
+ * @param {String} checksum - Archive checksum
+ * @param {String} ext - Index file extension (.caidx or .caibx)
+ * @returns - Index file path, or undefined if not found
+ */
+function findIndex(shares, checksum, ext) {
+    for (let share of shares) {
+        if (share.indexDir && fs.existsSync(path.join(share.indexDir, checksum + ext))) {
+            return path.join(share.indexDir, checksum + ext);
+        }
+        if (share.index && share.checksum === checksum && path.extname(share.index) === ext && fs.existsSync(share.index)) {
+            return share.index;
+        }
+    }
+}
+
+/**
+ * Starts the mDNS peer discovery: answers queries for the peer service (if serving), and periodically queries for peers
+ * @param {Object} settings - Peer settings
+ * @returns - UDP socket
+ */
+function startDiscovery(settings) {
+    let s = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    let own = ownAddresses();
+
+    s.on('message', (msg, rinfo) => {
+        let packet;
+        try {
+            packet = parsePacket(msg);
+        }
+        catch {
+            // Ignore malformed packets
+            return;
+        }
+
+        if (!packet.response) {
+            if (settings.serve && packet.questions.some(q => q.name === serviceType && (q.type === typePTR || q.type === typeANY))) {
+                send(answer(peerTtl));
+            }
+            return;
+        }
+
+        if (own.includes(rinfo.address)) {
+            return;
+        }
+        packet.records.filter(r => r.type === typeSRV && r.name.endsWith('.' + serviceType)).forEach(r => {
+            let url = `http://${rinfo.address}:${r.port}`;
+            if (r.ttl === 0) {
+                delete discovered[url];
+            }
+            else {
+                if (!discovered[url]) {
+                    console.log(`Discovered peer ${url}`);
+                }
+                discovered[url] = Date.now() + r.ttl * 1000;
+            }
+        });
+    });
+
+    s.on('error', err => {
+        console.error(`Peer discovery error: ${err.message}`);
+    });
+
+    s.bind(mdnsPort, () => {
+        try {
+            s.addMembership(mdnsAddress);
+            s.setMulticastTTL(255);
+        }
+        catch (err) {
+            console.error(`Peer discovery error: ${err.message}`);
+            return;
+        }
+
+        // Announce this client, and query for peers
+        if (settings.serve) {
+            send(answer(peerTtl));
+        }
+        send(query());
+        queryTimer = setInterval(() => { send(query()) }, queryInterval);
+    });
+    return s;
+}
+
+/**
+ * Sends an mDNS packet
+ * @param {Buffer} packet
+ * @param {Function} callback - (optional) Called when the packet is sent
+ */
+function send(packet, callback) {
+    if (socket) {
+        socket.send(packet, mdnsPort, mdnsAddress, err => {
+            if (err) {
+                console.error(`Peer discovery error: ${err.message}`);
+            }
+            if (callback) { callback() }
+        });
+    }
+}
+
+/**
+ * Get the addresses of this host (used to ignore own announcements)
+ * @returns - List of addresses
+ */
+function ownAddresses() {
+    let interfaces = os.networkInterfaces();
+    return Object.keys(interfaces).reduce((list, name) => list.concat(interfaces[name].map(i => i.address)), []);
+}
+
+/**
+ * Creates an mDNS query for the peer service
+ * @returns - DNS packet
+ */
+function query() {
+    return Buffer.concat([header(0, 1, 0), encodeName(serviceType), uint16(typePTR), uint16(classIN)]);
+}
+
+/**
+ * Creates an mDNS answer announcing the peer server of this client (PTR and SRV records)
+ * @param {Number} ttl - Record TTL in seconds (0 removes the records)
+ * @returns - DNS packet
+ */
+function answer(ttl) {
+    let instance = `${os.hostname().replace(/\./g, '-')}.${serviceType}`;
+    let target = `${os.hostname().replace(/\./g, '-')}.local`;
+    let srv = Buffer.concat([uint16(0), uint16(0), uint16(settings.port), encodeName(target)]);
+    return Buffer.concat([
+        header(0x8400, 0, 2),
+        record(serviceType, typePTR, classIN, ttl, encodeName(instance)),
+        record(instance, typeSRV, classIN | cacheFlush, ttl, srv),
+    ]);
+}
+
+/**
+ * Creates a DNS packet header
+ * @param {Number} flags
+ * @param {Number} questions - Number of questions
+ * @param {Number} answers - Number of answers
+ * @returns - Header
+ */
+function header(flags, questions, answers) {
+    return Buffer.concat([uint16(0), uint16(flags), uint16(questions), uint16(answers), uint16(0), uint16(0)]);
+}
+
+/**
+ * Creates a DNS resource record
+ * @param {String} name
+ * @param {Number} type
+ * @param {Number} cls - Class
+ * @param {Number} ttl - TTL in seconds
+ * @param {Buffer} data
+ * @returns - Resource record
+ */
+function record(name, type, cls, ttl, data) {
+    let ttlBuffer = Buffer.alloc(4);
+    ttlBuffer.writeUInt32BE(ttl);
+    return Buffer.concat([encodeName(name), uint16(type), uint16(cls), ttlBuffer, uint16(data.length), data]);
+}
+
+/**
+ * Encodes a DNS name (without compression)
+ * @param {String} name
+ * @returns - Encoded name
+ */
+function encodeName(name) {
+    return Buffer.concat(name.split('.').map(label => {
+        let data = Buffer.from(label.substring(0, 63));
+        return Buffer.concat([Buffer.from([data.length]), data]);
+    }).concat([Buffer.from([0])]));
+}
+
+/**
+ * Encodes an unsigned 16-bit integer
+ * @param {Number} value
+ * @returns - Buffer
+ */
+function uint16(value) {
+    let data = Buffer.alloc(2);
+    data.writeUInt16BE(value);
+    return data;
+}
+
+/**
+ * Parses a DNS packet. Throws an error if the packet is malformed.
+ * @param {Buffer} msg
+ * @returns - Parsed packet ({ response, questions: [{ name, type }], records: [{ name, type, ttl, port }] }). The port is only set for SRV records.
+ */
+function parsePacket(msg) {
+    let flags = msg.readUInt16BE(2);
+    let counts = [4, 6, 8, 10].map(offset => msg.readUInt16BE(offset));
+    let offset = 12;
+
+    let questions = [];
+    for (let i = 0; i < counts[0]; i++) {
+        let name = readName(msg, offset);
+        questions.push({ name: name.name, type: msg.readUInt16BE(name.offset) });
+        offset = name.offset + 4;
+    }
+
+    let records = [];
+    for (let i = 0; i < counts[1] + counts[2] + counts[3]; i++) {
+        let name = readName(msg, offset);
+        let type = msg.readUInt16BE(name.offset);
+        let ttl = msg.readUInt32BE(name.offset + 4);
+        let length = msg.readUInt16BE(name.offset + 8);
+        let data = name.offset + 10;
+        records.push({ name: name.name, type: type, ttl: ttl, port: type === typeSRV ? msg.readUInt16BE(data + 4) : undefined });
+        offset = data + length;
+    }
+
+    return { response: Boolean(flags & 0x8000), questions: questions, records: records };
+}
+
+/**
+ * Reads a (compressed) DNS name
+ * @param {Buffer} msg
+ * @param {Number} offset
+ * @returns - Name and offset after the name ({ name, offset })
+ */
+function readName(msg, offset) {
+    let labels = [];
+    let end;
+    for (let jumps = 0; ; jumps++) {
+        let length = msg.readUInt8(offset);
+        if (length === 0) {
+            return { name: labels.join('.'), offset: end !== undefined ? end : offset + 1 };
+        }
+        if ((length & 0xc0) === 0xc0) {
+            if (jumps > 16) {
+                throw Error('Invalid DNS name compression');
+            }
+            if (end === undefined) {
+                end = offset + 2;
+            }
+            offset = msg.readUInt16BE(offset) & 0x3fff;
+        }
+        else {
+            if (offset + 1 + length > msg.length) {
+                throw Error('Invalid DNS name');
+            }
+            labels.push(msg.toString('utf8', offset + 1, offset + 1 + length));
+            offset += 1 + length;
+        }
+    }
+}
+
+module.exports.start = start;
+module.exports.stop = stop;
+module.exports.peerUrls = peerUrls;
@@ -0,0 +1,379 @@
+/*
+Archive publishing and chunk store garbage collection (server)
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { readIndex, chunkPath } = require('./cache.js');
+const { removeDir, removeFile } = require('./files.js');
+const { createFilter } = require('./glob.js');
+
+/**
+ * Files published with an index file, in publishing order. The checksum file is published last: clients read the checksum first, so a
+ * client reading the new checksum finds the matching index, mtree and signature files.
+ */
+const publishOrder = ['', '.mtree', '.sig', '.cks'];
+
+/**
+ * Chunks modified within this time are not removed by the garbage collection, as they may belong to an archive which is being
+ * created (ms)
+ */
+const gcGracePeriod = 3600000;
+
+/**
+ * Prepares the directory to create an archive from. A single source directory without target directory and include / exclude rules is
+ * archived directly. Otherwise the sources are copied (directories), extracted (tarballs) or exported (git refs) to a temporary
+ * directory, keeping the paths matching the include / exclude rules (matched against the paths in the archive).
+ * @param {Object} config - Server configuration entry ({ source, include, exclude })
+ * @returns - Promise with the directory and a function removing the temporary directory ({ dir, cleanup })
+ */
+async function prepareSource(config) {
+    let sources = (Array.isArray(config.source) ? config.source : [config.source]).map(source => {
+        if (typeof source !== 'string') {
+            return source;
+        }
+        return fs.statSync(source).isDirectory() ? { dir: source } : { tarball: source };
+    });
+
+    if (sources.length === 1 && sources[0].dir && !sources[0].target && !config.include && !config.exclude) {
+        return { dir: sources[0].dir, cleanup: () => { } };
+    }
+
+    let tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'casync-updater-'));
+    let cleanup = () => { removeDir(tmp) };
+    try {
+        let dir = path.join(tmp, 'source');
+        fs.mkdirSync(dir);
+        fs.chmodSync(dir, 0o755);
+        let filter = createFilter(config.include, config.exclude);
+
+        for (let i = 0; i < sources.length; i++) {
+            let source = sources[i];
+            let root = source.dir;
+            if (source.tarball) {
+                root = path.join(tmp, `tarball-${i}`);
+                fs.mkdirSync(root);
+                await run('tar', ['-xf', source.tarball, '-C', root]);
+            }
+            else if (source.git) {
+                root = await exportGit(source, path.join(tmp, `git-${i}`));
+            }
+
+            let target = (source.target || '').replace(/^\/+|\/+$/g, '');
+            fs.mkdirSync(path.join(dir, target), { recursive: true });
+            copyTree(root, path.join(dir, target), target, filter);
+            copyAttributes(path.join(dir, target), fs.lstatSync(root));
+        }
+        return { dir: dir, cleanup: cleanup };
+    }
+    catch (err) {
+        cleanup();
+        throw err;
+    }
+}
+
+/**
+ * Exports a git ref to a directory
+ * @param {Object} source - Git source ({ git, ref, subdir }). git is a local repository path or a repository URL.
+ * @param {String} dir - Directory to export to (created)
+ * @returns - Promise with the path of the exported directory (the subdirectory if set)
+ */
+async function exportGit(source, dir) {
+    fs.mkdirSync(dir);
+    let repo = source.git;
+    if (!fs.existsSync(repo)) {
+        // Remote repository: clone without checking out
+        repo = dir + '.git';
+        await run('git', ['clone', '--bare', '--quiet', source.git, repo]);
+    }
+
+    let args = ['-C', repo, 'archive', '--format=tar', source.ref || 'HEAD'].concat(source.subdir ? ['--', source.subdir] : []);
+    await new Promise((resolve, reject) => {
+        let git = spawn('git', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let tar = spawn('tar', ['-xf', '-', '-C', dir], { stdio: ['pipe', 'ignore', 'pipe'] });
+        let errors = '';
+        git.stderr.on('data', data => { errors += data });
+        tar.stderr.on('data', data => { errors += data });
+        git.stdout.pipe(tar.stdin);
+
+        let codes = [];
+        let done = (name, code) => {
+            codes.push(code);
+            if (code !== 0) {
+                reject(Error(`Unable to export ${source.ref || 'HEAD'} from ${source.git}: ${errors.trim() || `${name} exited with code ${code}`}`));
+            }
+            else if (codes.length === 2) {
+                resolve();
+            }
+        };
+        git.on('error', reject);
+        tar.on('error', reject);
+        git.on('close', code => done('git', code));
+        tar.on('close', code => done('tar', code));
+    });
+
+    return source.subdir ? path.join(dir, source.subdir) : dir;
+}
+
+/**
+ * Copies a directory tree with the file modes, modification times and (when running as root) ownership, keeping the paths which
+ * are included by the filter. Directories are kept if included or if they contain included paths. Special files are skipped.
+ * @param {String} src - Source directory
+ * @param {String} dst - Destination directory (existing)
+ * @param {String} prefix - Path of the destination directory in the archive (used to match the filter)
+ * @param {Object} filter - Include / exclude filter (see glob.js)
+ * @returns - Number of copied entries
+ */
+function copyTree(src, dst, prefix, filter) {
+    let copied = 0;
+    fs.readdirSync(src).forEach(name => {
+        let rel = prefix ? `${prefix}/${name}` : name;
+        if (filter.excluded(rel)) { return }
+
+        let from = path.join(src, name);
+        let to = path.join(dst, name);
+        let stat = fs.lstatSync(from);
+        if (stat.isDirectory()) {
+            let existed = fs.existsSync(to);
+            fs.mkdirSync(to, { recursive: true });
+            if (copyTree(from, to, rel, filter) || filter.included(rel) || existed) {
+                copyAttributes(to, stat);
+                copied++;
+            }
+            else {
+                fs.rmdirSync(to);
+            }
+        }
+        else if (!filter.included(rel)) {
+            return;
+        }
+        else if (stat.isSymbolicLink()) {
+            removeFile(to);
+            fs.symlinkSync(fs.readlinkSync(from), to);
+            copyAttributes(to, stat);
+            copied++;
+        }
+        else if (stat.isFile()) {
+            removeFile(to);
+            fs.copyFileSync(from, to);
+            copyAttributes(to, stat);
+            copied++;
+        }
+        else {
+            console.log(`Skipping special file ${from}`);
+        }
+    });
+
+    return copied;
+}
+
+/**
+ * Applies the ownership (when running as root), mode and modification time of a file to a copy
+ * @param {String} file - Copied file
+ * @param {fs.Stats} stat - Source file stats
+ */
+function copyAttributes(file, stat) {
+    if (process.getuid && process.getuid() === 0) {
+        fs.lchownSync(file, stat.uid, stat.gid);
+    }
+    if (stat.isSymbolicLink()) {
+        if (fs.lutimesSync) {
+            fs.lutimesSync(file, stat.atime, stat.mtime);
+        }
+        return;
+    }
+    fs.chmodSync(file, stat.mode & 0o7777);
+    fs.utimesSync(file, stat.atime, stat.mtime);
+}
+
+/**
+ * Run a command
+ * @param {String} file
+ * @param {Array} args
+ * @returns - Promise when complete. Rejects with the command output on failure.
+ */
+function run(file, args) {
+    return new Promise((resolve, reject) => {
+        execFile(file, args, (err, stdout, stderr) => {
+            if (err) {
+                reject(Error(`${file} ${args[0]} failed: ${(stderr || err.message).trim()}`));
+            }
+            else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Get the path of a temporary index file to build an archive in. The temporary directory is created next to the index file,
+ * so that it can be moved into place atomically.
+ * @param {String} index - Index file path
+ * @returns - Temporary index file path
+ */
+function buildPath(index) {
+    let dir = path.join(path.dirname(index), `.${path.basename(index)}.build-${process.pid}`);
+    removeDir(dir);
+    fs.mkdirSync(dir);
+    return path.join(dir, path.basename(index));
+}
+
+/**
+ * Get the path of the published copy of an index file with the passed checksum (".<name>.<checksum>/<name>" next to the index file).
+ * The published copies are not modified, so a client reading the checksum file of the index first reads the matching index, mtree
+ * and signature files from the published copy. Works for local paths and URLs.
+ * @param {String} index - Index file path or URL
+ * @param {String} checksum - Archive checksum
+ * @returns - Index file path or URL of the published copy
+ */
+function publishedIndex(index, checksum) {
+    let dir = index.slice(0, index.lastIndexOf('/') + 1);
+    let name = index.slice(dir.length);
+    return `${dir}.${name}.${checksum}/${name}`;
+}
+
+/**
+ * Publishes an index file built in a temporary directory (see buildPath) with its checksum, mtree and signature files. The temporary
+ * directory is renamed to the published copy of the index (see publishedIndex), so all files of the archive are published together.
+ * The files are then linked to the index path in publishing order, for clients which do not look up the published copy, and a
+ * signature file of a previous archive is removed if the new archive is not signed. Published copies replaced during the grace period
+ * are kept for clients reading them (see removePublished).
+ * @param {String} build - Temporary index file path
+ * @param {String} index - Index file path
+ */
+function publishIndex(build, index) {
+    let checksum = fs.readFileSync(build + '.cks').toString().trim();
+    let published = publishedIndex(index, checksum);
+    removeDir(path.dirname(published));
+    fs.renameSync(path.dirname(build), path.dirname(published));
+    let now = new Date();
+    fs.utimesSync(path.dirname(published), now, now);
+
+    publishOrder.forEach(ext => {
+        if (fs.existsSync(published + ext)) {
+            removeFile(index + ext + '.part');
+            fs.linkSync(published + ext, index + ext + '.part');
+            fs.renameSync(index + ext + '.part', index + ext);
+        }
+        else {
+            removeFile(index + ext);
+        }
+    });
+    removePublished(index);
+}
+
+/**
+ * Removes the published copies of an index file (see publishedIndex) which were replaced by a newer copy before the grace period. The
+ * modification time of a published copy is its publishing time.
+ * @param {String} index - Index file path
+ */
+function removePublished(index) {
+    let dir = path.dirname(index);
+    let prefix = `.${path.basename(index)}.`;
+    let copies = fs.readdirSync(dir).filter(name => name.startsWith(prefix) && /^[0-9a-f]{64}$/.test(name.slice(prefix.length))).map(name => {
+        return { dir: path.join(dir, name), time: fs.statSync(path.join(dir, name)).mtimeMs };
+    }).sort((a, b) => b.time - a.time);
+
+    let before = Date.now() - gcGracePeriod;
+    copies.forEach((copy, i) => {
+        if (i > 0 && copies[i - 1].time < before) {
+            removeDir(copy.dir);
+        }
+    });
+}
+
+/**
+ * Removes the temporary directory of an index file (see buildPath)
+ * @param {String} build - Temporary index file path
+ */
+function removeBuild(build) {
+    removeDir(path.dirname(build));
+}
+
+/**
+ * Copies the files of an index to another index, replacing each file atomically (in publishing order)
+ * @param {String} source - Source index file path
+ * @param {String} target - Target index file path
+ */
+function copyIndex(source, target) {
+    publishOrder.forEach(ext => {
+        if (fs.existsSync(source + ext)) {
+            fs.copyFileSync(source + ext, target + ext + '.part');
+            fs.renameSync(target + ext + '.part', target + ext);
+        }
+    });
+}
+
+/**
+ * Get the index files in a directory, including the published copies of the index files (see publishedIndex)
+ * @param {String} dir
+ * @returns - List of index file paths (caidx / caibx)
+ */
+function listIndexes(dir) {
+    return fs.readdirSync(dir).reduce((list, name) => {
+        if (/\.cai[db]x$/.test(name)) {
+            list.push(path.join(dir, name));
+        }
+        else if (/^\..+\.cai[db]x\.[0-9a-f]{64}$/.test(name)) {
+            // Published copies (see publishedIndex)
+            list.push(...listIndexes(path.join(dir, name)));
+        }
+        return list;
+    }, []);
+}
+
+/**
+ * Removes the chunks from a store which are not used by any of the passed index files. Chunks modified during the grace period
+ * are kept. Fails without removing chunks if one of the index files cannot be read.
+ * @param {String} store - Chunk store directory
+ * @param {Array} indexes - List of index file paths using the store
+ * @param {Boolean} dryRun - List the unused chunks without removing them
+ * @returns - Unused chunk file paths and their total size ({ files, bytes })
+ */
+function collectGarbage(store, indexes, dryRun) {
+    let used = new Set();
+    indexes.forEach(index => {
+        readIndex(fs.readFileSync(index)).forEach(id => used.add(id));
+    });
+
+    let result = { files: [], bytes: 0 };
+    if (!fs.existsSync(store)) {
+        return result;
+    }
+
+    let before = Date.now() - gcGracePeriod;
+    fs.readdirSync(store).filter(dir => /^[0-9a-f]{4}$/.test(dir)).forEach(dir => {
+        fs.readdirSync(path.join(store, dir)).forEach(name => {
+            let match = /^([0-9a-f]{64})\.cacnk$/.exec(name);
+            if (!match || used.has(match[1])) { return }
+
+            let file = chunkPath(store, match[1]);
+            let stat = fs.statSync(file);
+            if (stat.mtimeMs < before) {
+                result.files.push(file);
+                result.bytes += stat.size;
+                if (!dryRun) {
+                    fs.unlinkSync(file);
+                }
+            }
+        });
+
+        // Remove empty chunk directories
+        if (!dryRun && !fs.readdirSync(path.join(store, dir)).length) {
+            fs.rmdirSync(path.join(store, dir));
+        }
+    });
+    return result;
+}
+
+module.exports.publishOrder = publishOrder;
+module.exports.prepareSource = prepareSource;
+module.exports.buildPath = buildPath;
+module.exports.publishedIndex = publishedIndex;
+module.exports.publishIndex = publishIndex;
+module.exports.removeBuild = removeBuild;
+module.exports.copyIndex = copyIndex;
+module.exports.listIndexes = listIndexes;
+module.exports.collectGarbage = collectGarbage;
@@ -0,0 +1,90 @@
+/*
+Roll back (or forward) a client configuration entry to a release version from the release manifest
+*/
+
+const path = require('path');
+const { loadJSON, saveJSON } = require('./json.js');
+const { loadManifest, findRelease } = require('./manifest.js');
+const { configFiles, createEntry, loadChecksum, runCycle } = require('./client.js');
+
+/**
+ * Pins a client configuration entry to the passed release version, and extracts the release.
+ * If no version is passed, the available releases are listed.
+ * @param {String} configPath - Client configuration file or directory
+ * @param {String} dstPath - Destination path of the configuration entry
+ * @param {String} version - (optional) Release version
+ * @returns - Promise when complete
+ */
+function rollbackEntry(configPath, dstPath, version) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            let found = await findEntry(configPath, dstPath);
+            if (!found) {
+                reject(`No configuration entry found for ${dstPath} in ${configPath}`);
+                return;
+            }
+
+            let c = found.config[found.index];
+            let manifest = await loadManifest(c.srcIndex, createEntry(c).srcOptions, c.publicKeys);
+
+            // List available releases
+            if (!version) {
+                manifest.releases.forEach(release => {
+                    console.log(`${release.version}\t${release.timestamp}\t${release.notes}`);
+                });
+                resolve();
+                return;
+            }
+
+            let release = findRelease(manifest, version);
+            if (!release) {
+                reject(`Release ${version} not found in the release manifest of ${c.srcIndex}`);
+                return;
+            }
+
+            // Pin the configuration entry to the release version
+            c.version = version;
+            await saveJSON(found.file, found.config);
+            console.log(`Pinned ${dstPath} to version ${version} in ${found.file}`);
+
+            // Extract the release
+            let entry = createEntry(c);
+            await loadChecksum(entry);
+            let result = await runCycle(entry, { force: true });
+            if (result.status === 'skipped') {
+                reject(`${dstPath} is being updated by another process, please try again later`);
+                return;
+            }
+            if (result.checksum !== release.checksum) {
+                reject(`Failed to extract version ${version} to ${dstPath}`);
+                return;
+            }
+
+            console.log(`Reload the configuration (or restart the casync-updater service) for the pinned version to take effect in the service.`);
+            resolve();
+        }
+        catch (err) {
+            reject(err.message || err);
+        }
+    });
+}
+
+/**
+ * Finds the configuration file and entry for a destination path
+ * @param {String} configPath - Client configuration file or directory
+ * @param {String} dstPath - Destination path of the configuration entry
+ * @returns - Promise with the file path, configuration and entry index, or undefined if not found
+ */
+async function findEntry(configPath, dstPath) {
+    for (let file of configFiles(configPath)) {
+        let config = await loadJSON(file).catch(err => { });
+        if (Array.isArray(config)) {
+            let index = config.findIndex(c => c.dstPath && path.resolve(c.dstPath) === path.resolve(dstPath));
+            if (index >= 0) {
+                return { file: file, config: config, index: index };
+            }
+        }
+    }
+}
+
+module.exports.rollbackEntry = rollbackEntry;
@@ -0,0 +1,84 @@
+/*
+Staged rollouts: device identity and rollout cohort selection
+*/
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Files containing the machine ID
+ */
+const machineIdFiles = ['/etc/machine-id', '/var/lib/dbus/machine-id'];
+
+// Print the device ID when executed directly
+if (require.main === module) {
+    console.log(deviceId());
+}
+
+/**
+ * Gets a stable device ID. The device ID is derived from the machine ID (see man machine-id), falling back to the host name.
+ * The machine ID itself is not exposed, as it should be kept confidential.
+ * @returns - Device ID
+ */
+function deviceId() {
+    let id;
+    machineIdFiles.forEach(file => {
+        if (!id) {
+            try {
+                id = fs.readFileSync(file).toString().trim();
+            }
+            catch { }
+        }
+    });
+
+    return crypto.createHmac('sha256', id || os.hostname()).update('casync-updater').digest('hex').substring(0, 32);
+}
+
+/**
+ * Checks if a rollout is limited to a part of the devices
+ * @param {Object} rollout - Rollout policy
+ * @returns - true if the rollout does not include all devices
+ */
+function isPartial(rollout) {
+    return Boolean(rollout) && !(rollout.percentage >= 100);
+}
+
+/**
+ * Checks if a device is part of the rollout cohort. A device is part of the cohort if listed in the rollout devices, if member
+ * of one of the rollout groups, or if its (stable) rollout bucket is within the rollout percentage.
+ * @param {Object} rollout - (optional) Rollout policy ({ percentage: Number, devices: [...], groups: [...] }). All devices are included if not set.
+ * @param {String} version - Release version. Used to select a different cohort for each release.
+ * @param {Object} device - Device details ({ id: String, groups: [...] })
+ * @returns - true if the device is part of the rollout cohort
+ */
+function inRollout(rollout, version, device) {
+    if (!rollout) {
+        return true;
+    }
+
+    if (Array.isArray(rollout.devices) && rollout.devices.includes(device.id)) {
+        return true;
+    }
+
+    if (Array.isArray(rollout.groups) && Array.isArray(device.groups) && rollout.groups.some(group => device.groups.includes(group))) {
+        return true;
+    }
+
+    return bucket(device.id, version) < (rollout.percentage || 0);
+}
+
+/**
+ * Calculates the rollout bucket (0 - 99) of a device for a release
+ * @param {String} id - Device ID
+ * @param {String} version - Release version
+ * @returns - Rollout bucket
+ */
+function bucket(id, version) {
+    let hash = crypto.createHash('sha256').update(`${id}:${version}`).digest();
+    return hash.readUInt32BE(0) % 100;
+}
+
+module.exports.deviceId = deviceId;
+module.exports.isPartial = isPartial;
+module.exports.inRollout = inRollout;
@@ -0,0 +1,205 @@
+/*
+Maintenance windows (local time) and boot tracking
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Weekday names (index is the day of the week, 0 = Sunday)
+ */
+const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Cron field ranges: minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+ */
+const cronFields = [
+    { min: 0, max: 59 },
+    { min: 0, max: 23 },
+    { min: 1, max: 31 },
+    { min: 1, max: 12 },
+    { min: 0, max: 7 },
+];
+
+/**
+ * Checks if a date is within one of the maintenance windows
+ * @param {Array} windows - List of maintenance windows: cron expressions (e.g. "* 2-4 * * 1-5": every minute from 02:00 to 04:59 on
+ * weekdays) or time ranges ({ days: ['mon', 'tue'], start: '02:00', end: '05:00' })
+ * @param {Date} date - (optional) Defaults to now
+ * @returns - true if the date is within a maintenance window
+ */
+function inWindow(windows, date) {
+    date = date || new Date();
+    return windows.some(window => typeof window === 'string' ? matchCron(parseCron(window), date) : inTimeRange(window, date));
+}
+
+/**
+ * Checks if a date is within a weekday / time range. A range ending before its start time ends on the next day.
+ * @param {Object} range - { days: [] (optional, defaults to all days), start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date
+ * @returns - true if the date is within the range
+ */
+function inTimeRange(range, date) {
+    let start = minutes(range.start);
+    let end = minutes(range.end);
+    let now = date.getHours() * 60 + date.getMinutes();
+    let days = range.days || weekdays;
+    let day = date.getDay();
+
+    if (start <= end) {
+        return days.includes(weekdays[day]) && now >= start && now < end;
+    }
+
+    // Range crossing midnight: the days refer to the start day
+    return (days.includes(weekdays[day]) && now >= start) || (days.includes(weekdays[(day + 6) % 7]) && now < end);
+}
+
+/**
+ * Converts a time of day to minutes
+ * @param {String} time - 'HH:MM'
+ * @returns - Minutes since midnight
+ */
+function minutes(time) {
+    let [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Parses a cron expression (minute, hour, day of month, month, day of week). Supports *, ranges (1-5), steps (*\/15) and lists (1,3).
+ * @param {String} expression
+ * @returns - List of allowed values per field, with flags for restricted day fields
+ */
+function parseCron(expression) {
+    let fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    let values = fields.map((field, i) => parseCronField(field, cronFields[i], expression));
+
+    // Sunday can be 0 or 7
+    if (values[4].has(7)) {
+        values[4].add(0);
+    }
+
+    return {
+        values: values,
+        domRestricted: fields[2] !== '*',
+        dowRestricted: fields[4] !== '*',
+    };
+}
+
+/**
+ * Parses a cron field
+ * @param {String} field
+ * @param {Object} range - { min, max }
+ * @param {String} expression - Full expression (used in error messages)
+ * @returns - Set of allowed values
+ */
+function parseCronField(field, range, expression) {
+    let values = new Set();
+    field.split(',').forEach(part => {
+        let match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw Error(`Invalid cron expression "${expression}": invalid field "${field}"`);
+        }
+
+        let from = match[1] === '*' ? range.min : parseInt(match[2]);
+        let to = match[1] === '*' ? range.max : match[3] !== undefined ? parseInt(match[3]) : from;
+        let step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+        // A single value with a step (e.g. 5/15) runs to the end of the range
+        if (match[1] !== '*' && match[3] === undefined && match[4] !== undefined) {
+            to = range.max;
+        }
+
+        if (from < range.min || to > range.max || from > to || step < 1) {
+            throw Error(`Invalid cron expression "${expression}": field "${field}" out of range`);
+        }
+
+        for (let v = from; v <= to; v += step) {
+            values.add(v);
+        }
+    });
+    return values;
+}
+
+/**
+ * Checks if a date matches a parsed cron expression. As in cron, the date matches if either the day of month or the
+ * day of week matches when both are restricted.
+ * @param {Object} cron - Parsed cron expression (see parseCron)
+ * @param {Date} date
+ * @returns - true if the date matches
+ */
+function matchCron(cron, date) {
+    let [minute, hour, dom, month, dow] = cron.values;
+    if (!minute.has(date.getMinutes()) || !hour.has(date.getHours()) || !month.has(date.getMonth() + 1)) {
+        return false;
+    }
+
+    let domMatch = dom.has(date.getDate());
+    let dowMatch = dow.has(date.getDay());
+    if (cron.domRestricted && cron.dowRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Get an ID of the current system boot: the kernel boot ID (Linux), or the boot time derived from the system uptime (rounded to a minute)
+ * @returns - Boot ID
+ */
+function bootId() {
+    try {
+        return fs.readFileSync('/proc/sys/kernel/random/boot_id').toString().trim();
+    }
+    catch {
+        return String(Math.round((Date.now() / 1000 - os.uptime()) / 60));
+    }
+}
+
+/**
+ * Get the path of the boot marker of a destination. The marker contains the ID of the boot during which the first cycle ran.
+ * @param {String} dstPath
+ * @returns - Marker file path
+ */
+function bootMarker(dstPath) {
+    let dir = fs.existsSync('/run/lock') ? '/run/lock' : os.tmpdir();
+    let hash = crypto.createHash('sha256').update(path.resolve(dstPath)).digest('hex').substring(0, 16);
+    return path.join(dir, `casync-updater-${hash}.boot`);
+}
+
+/**
+ * Checks if no cycle ran for a destination since the system booted. Service restarts do not count as boot.
+ * @param {String} dstPath
+ * @returns - true if the next cycle is the first cycle after boot
+ */
+function isFirstBootCycle(dstPath) {
+    try {
+        return fs.readFileSync(bootMarker(dstPath)).toString() !== bootId();
+    }
+    catch {
+        return true;
+    }
+}
+
+/**
+ * Records that the first cycle after boot ran for a destination
+ * @param {String} dstPath
+ */
+function markBootCycle(dstPath) {
+    try {
+        fs.writeFileSync(bootMarker(dstPath), bootId());
+    }
+    catch (err) {
+        console.error(`Unable to write the boot marker of ${dstPath}: ${err.message}`);
+    }
+}
+
+module.exports.weekdays = weekdays;
+module.exports.inWindow = inWindow;
+module.exports.parseCron = parseCron;
+module.exports.isFirstBootCycle = isFirstBootCycle;
+module.exports.markBootCycle = markBootCycle;
@@ -0,0 +1,496 @@
+/*
+Configuration schema validation
+*/
+
+const path = require('path');
+const { weekdays, parseCron } = require('./schedule.js');
+
+/**
+ * Action schema (client). Actions can also be passed as a command string.
+ */
+const actionSchema = {
+    command: { type: 'string', required: true },
+    timeout: { type: 'integer', min: 0 },
+    cwd: { type: 'path', absolute: true },
+    env: { type: 'object' },
+    user: { type: 'string' },
+    continueOnError: { type: 'boolean' },
+    retries: { type: 'integer', min: 0 },
+};
+
+/**
+ * Trigger schema (client)
+ */
+const triggerSchema = {
+    paths: { type: 'array', required: true, minItems: 1, items: { type: 'string' } },
+    actions: { type: 'array', required: true, minItems: 1, items: { type: 'action' } },
+    order: { type: 'string', values: ['sequential', 'parallel'] },
+    on: { type: 'array', minItems: 1, items: { type: 'string', values: ['added', 'modified', 'removed'] } },
+};
+
+/**
+ * Staging schema (client)
+ */
+const stagingSchema = {
+    dir: { type: 'path', absolute: true },
+    keep: { type: 'integer', min: 1 },
+    healthCheck: { type: 'string' },
+    healthCheckTimeout: { type: 'integer', min: 1, requires: ['healthCheck'] },
+};
+
+/**
+ * Source host connectivity check schema (client)
+ */
+const onlineCheckSchema = {
+    enabled: { type: 'boolean' },
+    interval: { type: 'integer', min: 1 },
+    maxInterval: { type: 'integer', min: 1 },
+    timeout: { type: 'integer', min: 1 },
+};
+
+/**
+ * HTTP authorization schema (client)
+ */
+const authSchema = {
+    bearer: { type: 'string' },
+    username: { type: 'string' },
+    password: { type: 'string', requires: ['username'] },
+};
+
+/**
+ * HTTP settings schema (client)
+ */
+const httpSchema = {
+    timeout: { type: 'integer', min: 1 },
+    retries: { type: 'integer', min: 0 },
+    proxy: { type: 'string', pattern: /^http:\/\/[^\s/]+/i },
+    ca: { type: 'path', absolute: true },
+    auth: { type: 'object', schema: authSchema, oneOf: ['bearer', 'username'] },
+};
+
+/**
+ * Source mirror schema (client)
+ */
+const mirrorSchema = {
+    index: { type: 'location', required: true },
+    store: { type: 'location', required: true },
+    priority: { type: 'integer', min: 0 },
+    http: { type: 'object', schema: httpSchema },
+};
+
+/**
+ * Backup check schema (client)
+ */
+const backupCheckSchema = {
+    enabled: { type: 'boolean' },
+    interval: { type: 'integer', min: 1 },
+    prune: { type: 'boolean' },
+    repair: { type: 'boolean' },
+};
+
+/**
+ * Chunk cache schema (client)
+ */
+const cacheSchema = {
+    dir: { type: 'path', required: true, absolute: true },
+    rate: { type: 'integer', min: 1 },
+    concurrency: { type: 'integer', min: 1, max: 32 },
+    peers: { type: 'boolean' },
+};
+
+/**
+ * Bandwidth schema (client entry)
+ */
+const bandwidthSchema = {
+    rate: { type: 'integer', min: 1 },
+    urgent: { type: 'boolean' },
+};
+
+/**
+ * Maintenance window time range schema (client). Windows can also be passed as a cron expression.
+ */
+const windowSchema = {
+    days: { type: 'array', minItems: 1, items: { type: 'string', values: weekdays } },
+    start: { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+};
+
+/**
+ * Maintenance schema (client)
+ */
+const maintenanceSchema = {
+    windows: { type: 'array', minItems: 1, items: { type: 'window' } },
+    outside: { type: 'array', items: { type: 'string', values: ['check', 'download'] } },
+    applyAtBoot: { type: 'boolean' },
+};
+
+/**
+ * Client configuration entry schema
+ */
+const clientSchema = {
+    interval: { type: 'integer', required: true, min: 1 },
+    jitter: { type: 'integer', min: 0 },
+    onlineCheck: { type: 'object', schema: onlineCheckSchema },
+    http: { type: 'object', schema: httpSchema },
+    srcIndex: { type: 'location', required: true },
+    srcStore: { type: 'location', required: true },
+    mirrors: { type: 'array', items: { type: 'object', schema: mirrorSchema } },
+    backupIndex: { type: 'path', absolute: true, requires: ['backupStore'] },
+    backupStore: { type: 'path', absolute: true, requires: ['backupIndex'] },
+    backupCheck: { type: 'object', schema: backupCheckSchema, requires: ['backupIndex'] },
+    dstPath: { type: 'path', required: true, absolute: true },
+    triggers: { type: 'array', items: { type: 'object', schema: triggerSchema } },
+    startup: { type: 'array', items: { type: 'action' } },
+    preUpdate: { type: 'array', items: { type: 'action' } },
+    postUpdate: { type: 'array', items: { type: 'action' } },
+    onFailure: { type: 'array', items: { type: 'action' } },
+    publicKeys: { type: 'array', minItems: 1, items: { type: 'path', absolute: true } },
+    staging: { type: 'object', schema: stagingSchema },
+    maintenance: { type: 'object', schema: maintenanceSchema },
+    cache: { type: 'object', schema: cacheSchema },
+    bandwidth: { type: 'object', schema: bandwidthSchema },
+    version: { type: 'string' },
+    channel: { type: 'string' },
+    bundle: { type: 'string' },
+    groups: { type: 'array', items: { type: 'string' } },
+    deviceId: { type: 'string' },
+};
+
+/**
+ * API settings schema (client)
+ */
+const apiSchema = {
+    host: { type: 'string', requires: ['port'] },
+    port: { type: 'integer', min: 1, max: 65535 },
+    socket: { type: 'path', absolute: true },
+    token: { type: 'string' },
+};
+
+/**
+ * Global bandwidth settings schema (client)
+ */
+const globalBandwidthSchema = {
+    rate: { type: 'integer', min: 1 },
+};
+
+/**
+ * Metered connection detection schema (client)
+ */
+const meteredSchema = {
+    command: { type: 'string' },
+    networkManager: { type: 'boolean' },
+};
+
+/**
+ * LAN peer settings schema (client)
+ */
+const peersSchema = {
+    serve: { type: 'boolean' },
+    host: { type: 'string' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    mdns: { type: 'boolean' },
+    list: { type: 'array', items: { type: 'string', pattern: /^http:\/\/[^\s/]+/i } },
+};
+
+/**
+ * Update bundle detection settings schema (client)
+ */
+const bundlesSchema = {
+    paths: { type: 'array', minItems: 1, items: { type: 'path', absolute: true } },
+    interval: { type: 'integer', min: 1 },
+};
+
+/**
+ * Client service settings schema
+ */
+const settingsSchema = {
+    api: { type: 'object', schema: apiSchema, oneOf: ['port', 'socket'] },
+    watch: { type: 'boolean' },
+    bandwidth: { type: 'object', schema: globalBandwidthSchema },
+    metered: { type: 'object', schema: meteredSchema },
+    peers: { type: 'object', schema: peersSchema },
+    bundles: { type: 'object', schema: bundlesSchema },
+};
+
+/**
+ * Rollout policy schema (server)
+ */
+const rolloutSchema = {
+    percentage: { type: 'number', min: 0, max: 100 },
+    devices: { type: 'array', items: { type: 'string' } },
+    groups: { type: 'array', items: { type: 'string' } },
+};
+
+/**
+ * Archive source schema (server). Sources can also be passed as a directory or tarball path.
+ */
+const sourceSchema = {
+    dir: { type: 'path', absolute: true },
+    tarball: { type: 'path', absolute: true },
+    git: { type: 'string' },
+    ref: { type: 'string', requires: ['git'] },
+    subdir: { type: 'string', requires: ['git'] },
+    target: { type: 'string' },
+};
+
+/**
+ * casync archive options schema (server)
+ */
+const archiveSchema = {
+    chunkSize: { type: 'string', pattern: /^\d+[KMG]?(:\d+[KMG]?:\d+[KMG]?)?$/i },
+    compression: { type: 'string', values: ['zstd', 'xz', 'gzip'] },
+    with: { type: 'array', items: { type: 'string' } },
+    without: { type: 'array', items: { type: 'string' } },
+};
+
+/**
+ * Retention policy schema (server)
+ */
+const retentionSchema = {
+    releases: { type: 'integer', min: 1 },
+    gc: { type: 'boolean' },
+    dryRun: { type: 'boolean' },
+};
+
+/**
+ * Server configuration entry schema
+ */
+const serverSchema = {
+    name: { type: 'string', pattern: /^[\w.-]+$/ },
+    index: { type: 'path', required: true },
+    store: { type: 'path', required: true },
+    source: { type: 'sources', required: true },
+    include: { type: 'array', minItems: 1, items: { type: 'string' } },
+    exclude: { type: 'array', items: { type: 'string' } },
+    casync: { type: 'object', schema: archiveSchema },
+    privateKey: { type: 'path' },
+    version: { type: 'string' },
+    notes: { type: 'string' },
+    channel: { type: 'string' },
+    rollout: { type: 'object', schema: rolloutSchema, requires: ['version'] },
+    retention: { type: 'object', schema: retentionSchema },
+};
+
+/**
+ * Validates a configuration object against a schema
+ * @param {Object} value - Configuration object
+ * @param {Object} schema - Schema (one of the schemas exported by this module)
+ * @param {String} prefix - (optional) Field name prefix used for nested objects
+ * @returns - List of issues ({ level: 'error' | 'warning', field: String, message: String })
+ */
+function validate(value, schema, prefix) {
+    let issues = [];
+    let name = key => prefix ? `${prefix}.${key}` : key;
+
+    if (!isObject(value)) {
+        issues.push({ level: 'error', field: prefix || '', message: 'must be an object' });
+        return issues;
+    }
+
+    // Check for unknown fields
+    Object.keys(value).filter(key => !schema[key]).forEach(key => {
+        issues.push({ level: 'warning', field: name(key), message: 'unknown field' });
+    });
+
+    Object.keys(schema).forEach(key => {
+        let rule = schema[key];
+
+        if (value[key] === undefined) {
+            if (rule.required) {
+                issues.push({ level: 'error', field: name(key), message: 'is required' });
+            }
+            return;
+        }
+
+        issues = issues.concat(validateField(value[key], rule, name(key)));
+
+        // Check required field combinations
+        (rule.requires || []).filter(other => value[other] === undefined).forEach(other => {
+            issues.push({ level: 'error', field: name(key), message: `requires "${name(other)}" to be set` });
+        });
+        if (rule.oneOf && isObject(value[key]) && rule.oneOf.filter(other => value[key][other] !== undefined).length !== 1) {
+            issues.push({ level: 'error', field: name(key), message: `requires exactly one of ${rule.oneOf.map(other => `"${other}"`).join(', ')}` });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Validates a field value against a schema rule
+ * @param {*} value
+ * @param {Object} rule
+ * @param {String} field - Field name
+ * @returns - List of issues
+ */
+function validateField(value, rule, field) {
+    let error = message => [{ level: 'error', field: field, message: message }];
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') { return error('must be a string') }
+            if (rule.pattern && !rule.pattern.test(value)) { return error(`has an invalid format (${value})`) }
+            if (rule.values && !rule.values.includes(value)) { return error(`must be one of ${rule.values.map(v => `"${v}"`).join(', ')}`) }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') { return error('must be true or false') }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !isFinite(value)) { return error('must be a number') }
+            if (rule.type === 'integer' && !Number.isInteger(value)) { return error('must be an integer') }
+            if (rule.min !== undefined && value < rule.min) { return error(`must be at least ${rule.min}`) }
+            if (rule.max !== undefined && value > rule.max) { return error(`must be at most ${rule.max}`) }
+            break;
+        case 'path':
+            if (typeof value !== 'string' || value.trim() === '') { return error('must be a non-empty path') }
+            if (rule.absolute && !value.startsWith('/')) { return error('must be an absolute path') }
+            break;
+        case 'location':
+            if (typeof value !== 'string' || value.trim() === '') { return error('must be a URL or absolute path') }
+            if (/^[a-z]+:/i.test(value)) {
+                let url;
+                try {
+                    url = new URL(value);
+                }
+                catch {
+                    return error('must be a valid URL');
+                }
+                if (!['http:', 'https:', 'ftp:'].includes(url.protocol)) { return error(`unsupported URL protocol ${url.protocol}`) }
+            }
+            else if (!value.startsWith('/')) {
+                return error('must be a URL or absolute path');
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) { return error('must be an array') }
+            if (rule.minItems && value.length < rule.minItems) { return error(`must contain at least ${rule.minItems} item(s)`) }
+            if (rule.items) {
+                let issues = [];
+                value.forEach((item, i) => {
+                    issues = issues.concat(validateField(item, rule.items, `${field}[${i}]`));
+                });
+                return issues;
+            }
+            break;
+        case 'action':
+            if (typeof value === 'string') { break }
+            if (!isObject(value)) { return error('must be a command string or an action object') }
+            return validate(value, actionSchema, field);
+        case 'sources':
+            if (Array.isArray(value)) {
+                if (!value.length) { return error('must contain at least 1 item(s)') }
+                return value.reduce((issues, item, i) => issues.concat(validateField(item, { type: 'source' }, `${field}[${i}]`)), []);
+            }
+            return validateField(value, { type: 'source' }, field);
+        case 'source':
+            if (typeof value === 'string') { return validateField(value, { type: 'path' }, field) }
+            if (!isObject(value)) { return error('must be a path or a source object') }
+            if (['dir', 'tarball', 'git'].filter(key => value[key] !== undefined).length !== 1) {
+                return error('requires exactly one of "dir", "tarball", "git"');
+            }
+            return validate(value, sourceSchema, field);
+        case 'window':
+            if (typeof value === 'string') {
+                try {
+                    parseCron(value);
+                }
+                catch (err) {
+                    return error(err.message);
+                }
+                break;
+            }
+            if (!isObject(value)) { return error('must be a cron expression or a time range object') }
+            return validate(value, windowSchema, field);
+        case 'object':
+            if (!isObject(value)) { return error('must be an object') }
+            if (rule.schema) {
+                return validate(value, rule.schema, field);
+            }
+            break;
+    }
+
+    return [];
+}
+
+/**
+ * Checks that the destination path and the chunk cache directory of a client configuration entry are not used by another entry. Entries
+ * sharing a destination would update it with different archives, and a cache only keeps the chunks of its own entry (see cache.js), so
+ * entries sharing a cache directory would remove each other's chunks. Used by the client service and the command line interface.
+ * @param {Object} c - Client configuration entry
+ * @param {Object} used - Locations of the entries using each destination path and cache directory ({ dstPaths, cacheDirs } by resolved
+ * path, created when empty). The paths of a valid entry are added.
+ * @param {String} location - Location of the entry (e.g. file and entry index), used in messages of later entries
+ * @returns - List of issues
+ */
+function validateUnique(c, used, location) {
+    if (!isObject(c)) {
+        return [];
+    }
+    used.dstPaths = used.dstPaths || {};
+    used.cacheDirs = used.cacheDirs || {};
+
+    let issues = [];
+    let dstPath = typeof c.dstPath === 'string' && path.resolve(c.dstPath);
+    if (dstPath && used.dstPaths[dstPath]) {
+        issues.push({ level: 'error', field: 'dstPath', message: `${c.dstPath} is already configured in ${used.dstPaths[dstPath]}` });
+    }
+    let dir = isObject(c.cache) && typeof c.cache.dir === 'string' && path.resolve(c.cache.dir);
+    if (dir && used.cacheDirs[dir]) {
+        issues.push({ level: 'error', field: 'cache.dir', message: `${c.cache.dir} is already used by ${used.cacheDirs[dir]}` });
+    }
+
+    if (issues.length === 0) {
+        if (dstPath) {
+            used.dstPaths[dstPath] = location;
+        }
+        if (dir) {
+            used.cacheDirs[dir] = location;
+        }
+    }
+    return issues;
+}
+
+/**
+ * Checks if the list of issues contains errors
+ * @param {Array} issues - List of issues (see validate)
+ * @returns - true if one or more issues are errors
+ */
+function hasErrors(issues) {
+    return issues.some(issue => issue.level === 'error');
+}
+
+/**
+ * Formats an issue as message including the file, entry index and field
+ * @param {Object} issue - Issue (see validate)
+ * @param {String} file - (optional) Configuration file path
+ * @param {Number} index - (optional) Configuration entry index
+ * @returns - Formatted message
+ */
+function formatIssue(issue, file, index) {
+    let location = [];
+    if (file) { location.push(file) }
+    if (index !== undefined) { location.push(`entry ${index}`) }
+    if (issue.field) { location.push(`"${issue.field}"`) }
+
+    return `${issue.level === 'error' ? 'Error' : 'Warning'} in ${location.join(': ')}: ${issue.message}`;
+}
+
+/**
+ * Checks if the passed value is a (non-array) object
+ * @param {*} value
+ * @returns - true if the value is an object
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports.schemas = {
+    client: clientSchema,
+    settings: settingsSchema,
+    server: serverSchema,
+};
+module.exports.validate = validate;
+module.exports.validateUnique = validateUnique;
+module.exports.hasErrors = hasErrors;
+module.exports.formatIssue = formatIssue;
@@ -4,10 +4,20 @@
 
 const { casync } = require('./casync.js');
 const { loadJSON, saveJSON } = require('./json.js');
+const { sign } = require('./signature.js');
+const { publishRelease, pruneReleases, versionedIndex } = require('./manifest.js');
+const { prepareSource, buildPath, publishIndex, removeBuild, listIndexes, collectGarbage } = require('./publish.js');
+const { isPartial } = require('./rollout.js');
+const { bundleName, exportBundle } = require('./bundle.js');
+const { schemas, validate, hasErrors, formatIssue } = require('./schema.js');
 const fs = require('fs');
+const path = require('path');
 
-// Get config file path from passed argument
-if (process.argv.length > 2) {
+// Get config file path from passed argument. With --bundle, the published archives are exported to a bundle directory instead.
+if (process.argv[2] === '--bundle' && process.argv.length > 4) {
+    bundle(process.argv[3], process.argv[4], process.argv.slice(5));
+}
+else if (process.argv.length > 2) {
     run(process.argv[2]);
 }
 
@@ -19,13 +29,25 @@ function run(configPath) {
     // Load configuration data passed via the first argument
     loadJSON(configPath).then(async (config) => {
         // check if configuration is an array
-        if (Array.isArray(config)) {
-            config.forEach(c => {
-                processEntry(c);
-            });
+        let configs = (Array.isArray(config) ? config : [config]).filter((c, i) => {
+            return isValidEntry(c, configPath, Array.isArray(config) ? i : undefined);
+        });
+
+        // Entries are processed one after another, and unused chunks are removed when all archives are created, so that chunks reused by
+        // an archive of another entry in the same store are not removed while the archive is being created.
+        let removed = [];
+        for (let c of configs) {
+            removed = removed.concat(await processEntry(c) || []);
         }
-        else {
-            processEntry(config);
+        let stores = [...new Set(configs.filter(c => c.retention && c.retention.gc).map(c => path.resolve(c.store)))];
+        for (let store of stores) {
+            try {
+                removeUnusedChunks(store, configs, removed);
+            }
+            catch (err) {
+                console.error(`Unable to remove unused chunks: ${err.message || err}`);
+                process.exit(1);
+            }
         }
     }).catch(err => {
         console.error(err);
@@ -33,24 +55,181 @@ function run(configPath) {
     });
 }
 
+/**
+ * Export the published archives of the configuration entries to an offline update bundle (see bundle.js)
+ * @param {String} dir - Bundle directory
+ * @param {string} configPath
+ * @param {Array} names - (optional) Bundle names of the entries to export. All entries are exported if empty.
+ */
+function bundle(dir, configPath, names) {
+    loadJSON(configPath).then(async (config) => {
+        let configs = (Array.isArray(config) ? config : [config]).filter((c, i) => {
+            return isValidEntry(c, configPath, Array.isArray(config) ? i : undefined) && (!names.length || names.includes(bundleName(c)));
+        });
+        let missing = names.filter(name => !configs.some(c => bundleName(c) === name));
+        missing.forEach(name => {
+            console.error(`Configuration entry ${name} not found in ${configPath}`);
+        });
+        if (missing.length || !configs.length) {
+            process.exit(1);
+        }
+
+        let result = await exportBundle(dir, configs);
+        result.entries.forEach(e => {
+            console.log(`Exported ${e.name}${e.version ? ' ' + e.version : ''} - checksum: ${e.checksum}`);
+        });
+        console.log(`Exported bundle to ${dir} (${result.chunks} chunks copied)`);
+    }).catch(err => {
+        console.error(`Unable to export bundle: ${err.message || err}`);
+        process.exit(1);
+    });
+}
+
+/**
+ * Validate a configuration entry, and log validation issues. Invalid entries set a non-zero exit code.
+ * @param {Object} config 
+ * @param {String} file - Configuration file path
+ * @param {Number} index - (optional) Configuration entry index
+ * @returns - true if the configuration entry is valid
+ */
+function isValidEntry(config, file, index) {
+    let issues = validate(config, schemas.server);
+    issues.forEach(issue => {
+        console.error(formatIssue(issue, file, index));
+    });
+
+    if (hasErrors(issues)) {
+        console.error(`Skipping invalid configuration entry${index !== undefined ? ' ' + index : ''} in ${file}`);
+        process.exitCode = 1;
+        return false;
+    }
+    return true;
+}
+
 /**
  * Process a configuration entry
  * @param {Object} config 
+ * @returns - Promise with the removed releases (see applyRetention)
  */
 async function processEntry(config) {
     // validate configuration file data
     if (config && config.index && config.store && config.source) {
-        let options = [
-            { store: config.store },
-            { with: '2sec-time' },
-        ];
+        let options = [{ store: config.store }].concat(archiveOptions(config.casync));
+
+        // Releases with a partial rollout are only published as versioned index, so that clients following the index are not updated
+        let index = config.index;
+        if (config.version && isPartial(config.rollout)) {
+            index = versionedIndex(config.index, config.version);
+        }
 
-        // Create or update the archive
-        casync.make(config.index, config.source, options).then(checksum => {
+        // Copy the files to archive from the sources
+        let source;
+        try {
+            source = await prepareSource(config);
+        }
+        catch (err) {
+            console.error(`Unable to prepare the source: ${err.message || err}`);
+            process.exit(1);
+        }
+
+        // Create the archive in a temporary directory, and publish the index, checksum, mtree and signature files when complete.
+        // The mtree file is created from the archive, so it matches the archived files and metadata.
+        let build = buildPath(index);
+        return casync.make(build, source.dir, options).finally(source.cleanup).then(async checksum => {
             console.log(`Created archive - checksum: ${checksum}`);
+
+            // Sign the archive
+            if (config.privateKey) {
+                await sign(build, config.privateKey).then(() => {
+                    console.log(`Signed archive: ${index}.sig`);
+                }).catch(err => {
+                    console.error(`Unable to sign archive: ${err}`);
+                    removeBuild(build);
+                    process.exit(1);
+                });
+            }
+
+            publishIndex(build, index);
+            console.log(`Published archive: ${index}`);
+
+            // Publish the versioned release
+            if (config.version) {
+                let release = { version: config.version, checksum: checksum, notes: config.notes, rollout: config.rollout };
+                await publishRelease(config.index, index, release, config.channel || 'latest', config.privateKey).then(() => {
+                    console.log(`Published release ${config.version}`);
+                }).catch(err => {
+                    console.error(`Unable to publish release ${config.version}: ${err}`);
+                    process.exit(1);
+                });
+            }
+
+            // Remove old releases. Unused chunks are removed when all entries are processed (see run).
+            if (config.retention) {
+                return applyRetention(config).catch(err => {
+                    console.error(`Unable to apply the retention policy: ${err.message || err}`);
+                    process.exit(1);
+                });
+            }
         }).catch(err => {
             console.error(`Unable to create archive: ${err}`);
+            removeBuild(build);
             process.exit(1);
         });
     }
+}
+
+/**
+ * Get the casync options to create an archive
+ * @param {Object} settings - (optional) casync settings of the configuration entry ({ chunkSize, compression, with, without })
+ * @returns - casync options. Defaults to the 2sec-time feature flag.
+ */
+function archiveOptions(settings) {
+    settings = settings || {};
+    return (settings.with || ['2sec-time']).map(feature => ({ with: feature }))
+        .concat((settings.without || []).map(feature => ({ without: feature })))
+        .concat(settings.chunkSize ? [{ 'chunk-size': settings.chunkSize }] : [])
+        .concat(settings.compression ? [{ compression: settings.compression }] : []);
+}
+
+/**
+ * Remove the oldest releases. In dry-run mode, the releases which would be removed are listed instead.
+ * @param {Object} config
+ * @returns - Promise with the removed index file paths
+ */
+async function applyRetention(config) {
+    let { releases, dryRun } = config.retention;
+    let action = dryRun ? 'Would remove' : 'Removed';
+
+    let removed = [];
+    if (releases) {
+        removed = await pruneReleases(config.index, releases, dryRun, config.privateKey);
+        removed.forEach(r => {
+            console.log(`${action} release ${r.version} (${r.index})`);
+        });
+    }
+    return removed.map(r => path.resolve(path.dirname(config.index), r.index));
+}
+
+/**
+ * Remove the chunks of a store which are not used by the index files (including the versioned release indexes) in the index directories
+ * of the configuration entries using the store. In dry-run mode (if set for one of the entries), the chunks which would be removed are
+ * listed instead.
+ * @param {String} store - Chunk store directory
+ * @param {Array} configs - Configuration entries
+ * @param {Array} removed - Index file paths of the removed releases (not yet removed in dry-run mode)
+ */
+function removeUnusedChunks(store, configs, removed) {
+    let users = configs.filter(c => path.resolve(c.store) === store);
+    let dryRun = users.some(c => c.retention && c.retention.gc && c.retention.dryRun);
+    let action = dryRun ? 'Would remove' : 'Removed';
+
+    let dirs = [...new Set(users.map(c => path.dirname(path.resolve(c.index))))];
+    let indexes = dirs.reduce((list, dir) => list.concat(listIndexes(dir)), []).filter(index => !removed.includes(index));
+    let result = collectGarbage(store, indexes, dryRun);
+    if (dryRun) {
+        result.files.forEach(file => {
+            console.log(`${action} chunk ${file}`);
+        });
+    }
+    console.log(`${action} ${result.files.length} unused chunks (${result.bytes} bytes) from ${store}`);
 }
\ No newline at end of file
@@ -0,0 +1,190 @@
+/*
+Archive and release manifest signing and signature verification
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { casync } = require('./casync.js');
+
+/**
+ * Signs a casync archive with an Ed25519 private key. The signature covers the index file, the checksum (.cks) and the mtree output (.mtree),
+ * and is written to a signature file (.sig) next to the index file.
+ * @param {String} index - Index file path
+ * @param {String} privateKey - Path to the PEM formatted Ed25519 private key
+ * @returns - Promise with the signature file contents when the archive is signed
+ */
+function sign(index, privateKey) {
+    return new Promise((resolve, reject) => {
+        try {
+            let key = crypto.createPrivateKey(fs.readFileSync(privateKey));
+
+            let payload = {
+                index: sha256(fs.readFileSync(index)),
+                checksum: fs.readFileSync(index + '.cks').toString().trim(),
+            };
+            if (fs.existsSync(index + '.mtree')) {
+                payload.mtree = sha256(fs.readFileSync(index + '.mtree'));
+            }
+
+            let signature = crypto.sign(null, Buffer.from(JSON.stringify(payload)), key).toString('base64');
+            let data = JSON.stringify(Object.assign({ algorithm: 'ed25519' }, payload, { signature: signature }));
+
+            casync.writeFile(index + '.sig', data);
+            resolve(data);
+        }
+        catch (err) {
+            reject(err.message);
+        }
+    });
+}
+
+/**
+ * Verifies the signature of a casync archive against a list of trusted public keys.
+ * @param {String} index - Index file path or URL
+ * @param {Array} publicKeys - List of paths to PEM formatted Ed25519 public keys
+ * @param {String} checksum - (optional) Archive checksum expected to be covered by the signature
+ * @param {Object} options - (optional) casync options used to download the files (see casync.readFile)
+ * @returns - Promise with the signature file contents if the archive signature is valid
+ */
+function verify(index, publicKeys, checksum, options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            let data = await casync.readFile(index + '.sig', false, options).catch(err => { });
+            if (!data) {
+                reject(`Signature file ${index}.sig not found`);
+                return;
+            }
+
+            let sig = JSON.parse(data);
+            let payload = {
+                index: sig.index,
+                checksum: sig.checksum,
+            };
+            if (sig.mtree) {
+                payload.mtree = sig.mtree;
+            }
+
+            // Check the signature against the list of trusted keys
+            if (!isTrusted(payload, sig.signature, publicKeys)) {
+                reject(`Signature of ${index} is not signed by a trusted key`);
+                return;
+            }
+
+            // Check if the signed data matches the archive
+            if (checksum && checksum !== sig.checksum) {
+                reject(`Checksum of ${index} does not match the signed checksum`);
+                return;
+            }
+
+            let indexData = await casync.readFile(index, true, options).catch(err => { });
+            if (!indexData || sha256(indexData) !== sig.index) {
+                reject(`Index file ${index} does not match the signed index`);
+                return;
+            }
+
+            // The mtree file is optional, as mtree output can be calculated from the (verified) index file
+            let mtree = await casync.readFile(index + '.mtree', false, options).catch(err => { });
+            if (mtree && (!sig.mtree || sha256(mtree) !== sig.mtree)) {
+                reject(`mtree file ${index}.mtree does not match the signed mtree`);
+                return;
+            }
+
+            resolve(data);
+        }
+        catch (err) {
+            reject(err.message);
+        }
+    });
+}
+
+/**
+ * Signs a file (e.g. a release manifest) with an Ed25519 private key. The signature covers the file contents, and is written to a
+ * signature file (.sig) next to the file.
+ * @param {String} file - File path
+ * @param {String} privateKey - Path to the PEM formatted Ed25519 private key
+ * @returns - Promise with the signature file contents when the file is signed
+ */
+function signFile(file, privateKey) {
+    return new Promise((resolve, reject) => {
+        try {
+            let key = crypto.createPrivateKey(fs.readFileSync(privateKey));
+            let payload = { file: sha256(fs.readFileSync(file)) };
+            let signature = crypto.sign(null, Buffer.from(JSON.stringify(payload)), key).toString('base64');
+            let data = JSON.stringify(Object.assign({ algorithm: 'ed25519' }, payload, { signature: signature }));
+
+            casync.writeFile(file + '.sig', data);
+            resolve(data);
+        }
+        catch (err) {
+            reject(err.message);
+        }
+    });
+}
+
+/**
+ * Verifies the signature of a file (see signFile) against a list of trusted public keys
+ * @param {String} file - File path or URL
+ * @param {*} data - File contents
+ * @param {Array} publicKeys - List of paths to PEM formatted Ed25519 public keys
+ * @param {Object} options - (optional) casync options used to download the signature file (see casync.readFile)
+ * @returns - Promise when the signature is valid
+ */
+function verifyFile(file, data, publicKeys, options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            let sigData = await casync.readFile(file + '.sig', false, options).catch(err => { });
+            if (!sigData) {
+                reject(`Signature file ${file}.sig not found`);
+                return;
+            }
+
+            let sig = JSON.parse(sigData);
+            if (!isTrusted({ file: sig.file }, sig.signature, publicKeys)) {
+                reject(`Signature of ${file} is not signed by a trusted key`);
+                return;
+            }
+            if (sha256(data) !== sig.file) {
+                reject(`File ${file} does not match the signed file`);
+                return;
+            }
+            resolve();
+        }
+        catch (err) {
+            reject(err.message);
+        }
+    });
+}
+
+/**
+ * Checks a signature against a list of trusted public keys
+ * @param {Object} payload - Signed data
+ * @param {String} signature - Base64 encoded signature
+ * @param {Array} publicKeys - List of paths to PEM formatted Ed25519 public keys
+ * @returns - true if the payload is signed by one of the keys
+ */
+function isTrusted(payload, signature, publicKeys) {
+    return publicKeys.some(keyPath => {
+        try {
+            let key = crypto.createPublicKey(fs.readFileSync(keyPath));
+            return crypto.verify(null, Buffer.from(JSON.stringify(payload)), key, Buffer.from(signature, 'base64'));
+        }
+        catch (err) {
+            console.error(`Unable to verify signature with public key ${keyPath}: ${err.message}`);
+            return false;
+        }
+    });
+}
+
+/**
+ * Calculates the SHA-256 hash of the passed data
+ * @param {*} data
+ * @returns - Hex encoded hash
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports.sign = sign;
+module.exports.verify = verify;
+module.exports.signFile = signFile;
+module.exports.verifyFile = verifyFile;
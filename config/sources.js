@@ -0,0 +1,71 @@
+/*
+Source (and mirror) health tracking (client)
+*/
+
+/**
+ * Delay before an unavailable source is queried again (ms). The delay is doubled after each failure.
+ */
+const retryDelay = 60000;
+
+/**
+ * Maximum delay before an unavailable source is queried again (ms)
+ */
+const maxRetryDelay = 3600000;
+
+/**
+ * Source health per source index ({ failures, lastError, lastFailure, lastSuccess, retryAt }). Shared by configuration entries using the same source.
+ */
+var health = {};
+
+/**
+ * Checks if a source is healthy: the source is available, or the retry delay after the last failure expired
+ * @param {Object} source - Source ({ index, store, priority, options })
+ * @returns - true if the source should be queried
+ */
+function isHealthy(source) {
+    let h = health[source.index];
+    return !h || !h.retryAt || Date.now() >= h.retryAt;
+}
+
+/**
+ * Registers a successful source query
+ * @param {Object} source
+ */
+function reportSuccess(source) {
+    health[source.index] = { failures: 0, lastSuccess: new Date().toISOString() };
+}
+
+/**
+ * Registers a failed source query. The source is skipped until the retry delay expires.
+ * @param {Object} source
+ * @param {String} error - Error message
+ */
+function reportFailure(source, error) {
+    let h = health[source.index] || { failures: 0 };
+    h.failures++;
+    h.lastError = error;
+    h.lastFailure = new Date().toISOString();
+    h.retryAt = Date.now() + Math.min(retryDelay * Math.pow(2, h.failures - 1), maxRetryDelay);
+    health[source.index] = h;
+}
+
+/**
+ * Get the health details of a source
+ * @param {Object} source
+ * @returns - Health details ({ healthy, failures, lastError, lastFailure, lastSuccess })
+ */
+function sourceHealth(source) {
+    let h = health[source.index] || {};
+    return {
+        healthy: isHealthy(source),
+        failures: h.failures || 0,
+        lastError: h.lastError,
+        lastFailure: h.lastFailure,
+        lastSuccess: h.lastSuccess,
+    };
+}
+
+module.exports.isHealthy = isHealthy;
+module.exports.reportSuccess = reportSuccess;
+module.exports.reportFailure = reportFailure;
+module.exports.sourceHealth = sourceHealth;
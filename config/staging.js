@@ -0,0 +1,185 @@
+/*
+A/B staging extract with rollback support.
+
+The destination path is a symbolic link pointing to the active tree in the staging directory. New archives are extracted to
+a new tree in the staging directory, verified and swapped in by atomically replacing the symbolic link.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { casync } = require('./casync.js');
+const { runAction } = require('./actions.js');
+const { removeDir } = require('./files.js');
+
+/**
+ * Default number of trees kept in the staging directory
+ */
+const defaultKeep = 3;
+
+/**
+ * Default health check timeout (ms)
+ */
+const defaultHealthCheckTimeout = 300000;
+
+/**
+ * Extracts a casync archive to a new tree in the staging directory, verifies the tree checksum and activates the new tree.
+ * @param {String} index - Index file name
+ * @param {Object} options - casync options for the index
+ * @param {String} dstPath - Destination path (symbolic link to the active tree)
+ * @param {Object} dstOptions - casync options for the destination
+ * @param {String} expected - Expected checksum of the extracted tree
+ * @param {Object} staging - Staging configuration
+ * @returns - Promise with the checksum and the path of the previously active tree
+ */
+function stagedExtract(index, options, dstPath, dstOptions, expected, staging) {
+    return new Promise(async (resolve, reject) => {
+        dstPath = linkPath(dstPath);
+        let dir = stagingDir(dstPath, staging);
+        let tmp = path.join(dir, '.tmp-' + crypto.randomBytes(8).toString('hex'));
+
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            let previous = migrate(dstPath, dir);
+
+            // Remove temporary trees left behind by interrupted extracts
+            fs.readdirSync(dir).filter(name => name.startsWith('.tmp-')).forEach(name => removeDir(path.join(dir, name)));
+
+            // Extract to a temporary tree, using the active tree as seed to reduce downloads
+            let extractOptions = [...options];
+            if (previous) {
+                extractOptions.push({ seed: previous });
+            }
+            fs.mkdirSync(tmp);
+            await casync.extract(index, tmp, extractOptions);
+
+            // Verify the extracted tree
+            let checksum = (await casync.digest(tmp, dstOptions)).trim();
+            if (expected && checksum !== expected) {
+                throw Error(`Checksum of extracted tree ${checksum} does not match the expected checksum ${expected}`);
+            }
+
+            let tree = path.join(dir, Date.now() + '-' + checksum.substring(0, 12));
+            fs.renameSync(tmp, tree);
+
+            activate(dstPath, tree);
+            resolve({ checksum: checksum, previous: previous });
+        }
+        catch (err) {
+            removeDir(tmp);
+            reject(err.message || err);
+        }
+    });
+}
+
+/**
+ * Reactivates the previously active tree, and removes the failed tree
+ * @param {String} dstPath - Destination path (symbolic link to the active tree)
+ * @param {String} previous - Path to the previously active tree
+ */
+function rollback(dstPath, previous) {
+    dstPath = linkPath(dstPath);
+    let failed = fs.realpathSync(dstPath);
+    activate(dstPath, previous);
+    if (failed !== fs.realpathSync(previous)) {
+        removeDir(failed);
+    }
+}
+
+/**
+ * Removes old trees from the staging directory. The active tree is never removed.
+ * @param {String} dstPath - Destination path (symbolic link to the active tree)
+ * @param {Object} staging - Staging configuration
+ * @returns - List of removed trees
+ */
+function prune(dstPath, staging) {
+    dstPath = linkPath(dstPath);
+    let dir = stagingDir(dstPath, staging);
+    let keep = staging.keep || defaultKeep;
+    let active = fs.realpathSync(dstPath);
+
+    // Tree names start with a timestamp, and are therefore sorted from old to new
+    let trees = fs.readdirSync(dir).filter(name => !name.startsWith('.')).sort().map(name => path.join(dir, name));
+    let removed = trees.slice(0, Math.max(trees.length - keep, 0)).filter(tree => fs.realpathSync(tree) !== active);
+    removed.forEach(tree => removeDir(tree));
+
+    return removed;
+}
+
+/**
+ * Runs the health check command of the staging configuration. The process group of the command is killed when the timeout expires,
+ * which fails the health check.
+ * @param {Object} staging - Staging configuration ({ healthCheck, healthCheckTimeout }). The health check passes if the shell command
+ * exits with exit code 0.
+ * @returns - Promise with the command output if the health check passed
+ */
+function healthCheck(staging) {
+    let action = { command: staging.healthCheck, timeout: staging.healthCheckTimeout || defaultHealthCheckTimeout };
+    return runAction(action, { label: 'health check' }).then(result => {
+        if (result.error) {
+            throw result.error;
+        }
+        return result.output;
+    });
+}
+
+/**
+ * Gets the staging directory path
+ * @param {String} dstPath
+ * @param {Object} staging - Staging configuration
+ * @returns - Staging directory path
+ */
+function stagingDir(dstPath, staging) {
+    return staging.dir || linkPath(dstPath) + '.staging';
+}
+
+/**
+ * Gets the path of the destination symbolic link (without trailing slash)
+ * @param {String} dstPath
+ * @returns - Normalized destination path
+ */
+function linkPath(dstPath) {
+    return path.normalize(dstPath).replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Moves an existing destination directory into the staging directory, and replaces it with a symbolic link (first run).
+ * @param {String} dstPath - Normalized destination path
+ * @param {String} dir - Staging directory
+ * @returns - Path to the active tree, or undefined if the destination does not exist
+ */
+function migrate(dstPath, dir) {
+    let stat;
+    try {
+        stat = fs.lstatSync(dstPath);
+    }
+    catch {
+        return;
+    }
+
+    if (stat.isDirectory()) {
+        let tree = path.join(dir, Date.now() + '-initial');
+        fs.renameSync(dstPath, tree);
+        activate(dstPath, tree);
+        console.log(`Moved ${dstPath} to staging directory ${tree}`);
+    }
+
+    return fs.realpathSync(dstPath);
+}
+
+/**
+ * Atomically points the destination symbolic link to the passed tree
+ * @param {String} dstPath - Normalized destination path
+ * @param {String} tree
+ */
+function activate(dstPath, tree) {
+    let link = dstPath + '.tmp-link';
+    removeDir(link);
+    fs.symlinkSync(tree, link);
+    fs.renameSync(link, dstPath);
+}
+
+module.exports.stagedExtract = stagedExtract;
+module.exports.rollback = rollback;
+module.exports.prune = prune;
+module.exports.healthCheck = healthCheck;
@@ -0,0 +1,95 @@
+/*
+Trigger path matching
+*/
+
+const { globToRegExp } = require('./glob.js');
+
+/**
+ * Change event types
+ */
+const events = ['added', 'modified', 'removed'];
+
+/**
+ * Maximum size of the changed paths passed in environment variables (the full list is always passed on stdin)
+ */
+const maxEnvSize = 65536;
+
+/**
+ * Finds the changed paths matching a trigger
+ * @param {Object} trigger - Trigger configuration ({ paths: [], on: [] })
+ * @param {Object} diff - Added, modified and removed entries (see casync.diff)
+ * @returns - Matched paths per event type ({ added: [], modified: [], removed: [] }), or undefined if no paths match
+ */
+function matchTrigger(trigger, diff) {
+    let patterns = trigger.paths.map(triggerRegExp);
+    let on = trigger.on || events;
+
+    let matched = {};
+    let found = false;
+    events.forEach(event => {
+        matched[event] = [];
+        if (!on.includes(event)) { return }
+
+        (diff[event] || []).forEach(entry => {
+            let path = normalize(entry.path);
+            if (patterns.some(pattern => pattern.test(path))) {
+                matched[event].push(path || '.');
+                found = true;
+            }
+        });
+    });
+
+    return found ? matched : undefined;
+}
+
+/**
+ * Converts a trigger path to a regular expression (see glob.js). A path matching a directory also matches its contents, and "." matches
+ * all paths.
+ * @param {String} pattern - Relative file or directory path, or glob pattern
+ * @returns - Regular expression
+ */
+function triggerRegExp(pattern) {
+    pattern = normalize(pattern);
+    if (pattern === '') {
+        return /^/;
+    }
+    return globToRegExp(pattern, { anchored: true, contents: true });
+}
+
+/**
+ * Normalizes a relative path: removes leading "./" and "/" and trailing "/". The root directory (".") is normalized to an empty string.
+ * @param {String} path
+ * @returns - Normalized path
+ */
+function normalize(path) {
+    path = path.replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '');
+    return path === '.' ? '' : path;
+}
+
+/**
+ * Get the environment variables and stdin input passed to trigger actions
+ * @param {Object} matched - Matched paths per event type (see matchTrigger)
+ * @returns - Environment variables and stdin input ({ env, input })
+ */
+function actionInput(matched) {
+    let paths = events.reduce((list, event) => list.concat(matched[event]), []);
+    let input = paths.join('\n') + '\n';
+
+    let env = {
+        CASYNC_UPDATER_ADDED: matched.added.join('\n'),
+        CASYNC_UPDATER_MODIFIED: matched.modified.join('\n'),
+        CASYNC_UPDATER_REMOVED: matched.removed.join('\n'),
+        CASYNC_UPDATER_PATHS: paths.join('\n'),
+    };
+
+    // Avoid exceeding the environment size limit with large change lists
+    if (input.length * 2 > maxEnvSize) {
+        env = { CASYNC_UPDATER_PATHS_TRUNCATED: '1' };
+    }
+
+    return { env: env, input: input };
+}
+
+module.exports.events = events;
+module.exports.matchTrigger = matchTrigger;
+module.exports.actionInput = actionInput;
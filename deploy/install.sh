@@ -18,7 +18,6 @@ echo 'Installing dependencies'
 echo -e "${NC}"
 apt-get -y install nodejs
 apt-get -y install casync
-apt-get -y install diffutils
 
 # Create directory for nodejs scripts
 echo -e "${BLUE}"
@@ -46,6 +45,13 @@ echo ''
 echo -e "${NC}"
 casync extract --with=2sec-time --store=https://update.casync-updater.net/master/store.castr https://update.casync-updater.net/master/index.caidx /opt/casync-updater/
 
+# Install the command line tool
+echo -e "${BLUE}"
+echo 'Installing command line tool: /usr/local/bin/casync-updater'
+echo -e "${NC}"
+chmod +x /opt/casync-updater/casync-updater.js
+ln -sf /opt/casync-updater/casync-updater.js /usr/local/bin/casync-updater
+
 # Create service configuration file
 echo -e "${BLUE}"
 echo 'Configuring casync-updater systemd service'
@@ -57,6 +63,9 @@ After=network.target
 [Service]
 WorkingDirectory=/opt/casync-updater/
 ExecStart=nodejs /opt/casync-updater/client.js /etc/casync-updater
+ExecReload=/bin/kill -HUP $MAINPID
+KillMode=mixed
+TimeoutStopSec=15min
 Restart=always
 
 [Install]
@@ -74,5 +83,5 @@ echo ''
 echo 'Please run "systemctl status casync-updater.service" to ensure the service is running correctly.'
 echo 'Configuration files directory: /etc/casync-updater'
 echo 'Add your own casync configuration files to /etc/casync-updater (see https://github.com/bcc-code/casync-updater for detailed instructions).'
-echo 'Restart the casync-updater service after modifying configuration files for the changes to take effect.'
+echo 'Configuration file changes are applied automatically (or run "systemctl reload casync-updater.service").'
 echo -e "${NC}"